@@ -1,6 +1,21 @@
 // Interactive World Map Application
+
+// Files the map loads (markup, styles, config, data) are resolved against the
+// directory this script was served from, so the map can be embedded anywhere
+const WORLD_MAP_BASE_URL = document.currentScript
+    ? new URL(".", document.currentScript.src).href
+    : document.baseURI;
+
+// A map instance renders into the shadow root of its container element, so
+// several instances can share a page. Options override config.json:
+// configUrl, config, dataSource, settings, palette, projection, renderer,
+// urlState, editable, baseUrl.
 class WorldMap {
-    constructor() {
+    constructor(container, options = {}) {
+        this.host = typeof container === "string" ? document.querySelector(container) : container;
+        this.options = options;
+        this.baseUrl = options.baseUrl || WORLD_MAP_BASE_URL;
+        this.root = this.host.shadowRoot || this.host.attachShadow({ mode: "open" });
         this.svg = null;
         this.g = null;
         this.projection = null;
@@ -14,22 +29,275 @@ class WorldMap {
         this.config = null;
         this.cybersecurityData = {};
         this.complianceCategories = {};
+        this.dataSourceName = null;
+        this.dataIssues = [];
+        this.cybersecurityDataByCode = {};
+        this.unmatchedCountries = [];
+        this.countryCodeIndex = null;
+        this.countryNameIndex = null;
+        this.featuresByCode = null;
+        this.featuresByName = null;
+        this.dataCachedAt = null;
+        this.timelineDate = null;
+        this.timelineSteps = [];
+        this.timelinePlayback = null;
+        this.riskLevels = {};
+        this.dataComplianceCategories = null;
+        this.palette = 'default';
+        this.colorModes = null;
+        this.colorMode = null;
+        this.filters = this.getDefaultFilters();
+        this.restoringUrlState = false;
+        this.urlStateReady = false;
+        this.auditLayer = null;
+        this.tableSort = { key: 'country', direction: 'asc' };
+        this.tableHighlight = null;
+        this.compareCountries = [];
+        this.maxCompareCountries = 4;
+        this.sites = [];
+        this.siteLayer = null;
+        this.siteClusterScale = null;
+        this.showSites = true;
+        this.selectedSite = null;
+        this.dataLoadedAt = null;
+        this.lastRefresh = null;
+        this.refreshing = false;
+        this.refreshTask = null;
+        this.refreshTimer = null;
+        this.pulseTimer = null;
+        this.kiosk = null;
+        this.topology = null;
+        this.regionGrouping = null;
+        this.regions = [];
+        this.regionLayer = null;
+        this.selectedRegion = null;
+        this.hostData = false;
+        this.loadedData = {};
+        this.dataSource = null;
+        this.draft = {};
+        this.draftSource = null;
+        this.editingCountry = null;
+        this.projectionType = null;
+        this.renderer = 'svg';
+        this.canvas = null;
+        this.canvasPaths = new Map();
+        this.canvasFrame = null;
+        this.countryBounds = null;
+        this.hitCountry = null;
+        this.viewTransform = null;
+        this.geometryLevels = [];
+        this.levelGeometries = [];
+        this.detailLevel = 0;
+        this.rotating = false;
+        this.cameraFollowEnabled = true;
+        this.labelLayer = null;
+        this.labelScale = null;
+        this.labelAnchors = new Map();
+        this.labelBounds = null;
+        this.labelWidths = new Map();
+        this.labelContext = null;
+        this.showLabels = true;
+        this.resizeObserver = null;
+        this.canvasObserver = null;
+        this.teardown = [];
+        this.destroyed = false;
         
-        this.init();
+        // Resolves once the map has loaded; the public methods wait for it
+        this.ready = this.init();
+        this.ready.catch(error => console.error("Error loading map libraries:", error));
     }
     
     async init() {
+        try {
+            await WorldMap.librariesReady;
+        } catch (error) {
+            this.root.textContent = "Map libraries could not be loaded. Please check your connection and refresh the page.";
+            this.emit("error", { error, message: error.message });
+            throw error;
+        }
+        await this.mount();
+        if (this.destroyed) return;
+        // The configured projection is needed to set up the map
+        await this.loadConfig();
+        if (this.destroyed) return;
         this.setupMap();
         this.createTooltip();
         this.createCountryLabel();
-        await this.loadConfig();
+        this.registerServiceWorker();
         await this.loadData();
+        if (this.destroyed) return;
         this.setupEventListeners();
         this.setupSearch();
+        this.setupUrlState();
+        this.startAutoRefresh();
+        this.setupKiosk();
+    }
+    
+    // Load the stylesheet and markup into the shadow root. A map removed while
+    // loading adds nothing, so a later map in the same shadow root starts clean.
+    async mount() {
+        if (this.destroyed) return;
+        const stylesheet = document.createElement("link");
+        stylesheet.rel = "stylesheet";
+        stylesheet.href = this.resolveUrl(this.options.stylesheet || "./styles.css");
+        const stylesLoaded = new Promise(resolve => {
+            stylesheet.onload = resolve;
+            stylesheet.onerror = resolve;
+        });
+        this.root.appendChild(stylesheet);
+        
+        const response = await fetch(this.resolveUrl(this.options.template || "./world-map.html"));
+        if (this.destroyed) return;
+        const markup = await response.text();
+        if (this.destroyed) return;
+        const template = document.createElement("template");
+        template.innerHTML = markup;
+        template.content.querySelectorAll("img[src]").forEach(img => {
+            img.src = this.resolveUrl(img.getAttribute("src"));
+        });
+        this.root.appendChild(template.content);
+        
+        // The map is sized from its container, which needs the styles applied
+        await stylesLoaded;
+    }
+    
+    // Add a listener outside the shadow root, removed again by destroy()
+    listen(target, type, listener, options) {
+        target.addEventListener(type, listener, options);
+        this.teardown.push(() => target.removeEventListener(type, listener, options));
+    }
+    
+    // Stop everything the map runs outside its shadow root (timers, animation
+    // frames, transitions, observers and page-level listeners) and empty the
+    // shadow root. Called when a <world-map> element is removed from the page.
+    destroy() {
+        this.destroyed = true;
+        this.teardown.forEach(remove => remove());
+        this.teardown = [];
+        
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+        clearTimeout(this.pulseTimer);
+        if (this.kiosk) {
+            clearTimeout(this.kiosk.timer);
+            clearTimeout(this.kiosk.resumeTimer);
+            this.kiosk = null;
+        }
+        this.host.classList.remove("kiosk");
+        if (this.timelinePlayback) {
+            clearInterval(this.timelinePlayback);
+            this.timelinePlayback = null;
+        }
+        this.disableCameraFollow();
+        if (this.canvasFrame) {
+            cancelAnimationFrame(this.canvasFrame);
+            this.canvasFrame = null;
+        }
+        if (this.svg) {
+            this.svg.interrupt().interrupt("rotate");
+        }
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        }
+        if (this.canvasObserver) {
+            this.canvasObserver.disconnect();
+        }
+        this.root.replaceChildren();
+    }
+    
+    resolveUrl(url) {
+        return new URL(url, this.baseUrl).href;
+    }
+    
+    // d3 selections scoped to this instance's shadow root
+    selectElement(selector) {
+        return d3.select(this.root).select(selector);
+    }
+    
+    selectElements(selector) {
+        return d3.select(this.root).selectAll(selector);
+    }
+    
+    // Notify the host page; events are dispatched on the container element
+    emit(type, detail) {
+        this.host.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+    
+    // Select a country by ISO code or name; null clears the selection.
+    // Resolves to false when no country matches.
+    async selectCountry(code, options = {}) {
+        await this.ready;
+        if (code === null || code === undefined) {
+            this.deselectCountry();
+            return true;
+        }
+        const feature = this.findCountryFeature(code);
+        if (!feature) return false;
+        this.selectCountryByData(feature, options.zoom ?? this.config.settings.autoZoomOnClick);
+        return true;
+    }
+    
+    // Replace the compliance data with records shaped like the "countries" of
+    // cybersecurity-data.json (keyed by name) or an array of rows. Polling of
+    // the configured data source stops.
+    async setData(records) {
+        await this.ready;
+        this.hostData = true;
+        await this.refreshData(records);
+    }
+    
+    // Data source named in events and exports for records from setData()
+    getHostDataSource() {
+        return { name: 'host', label: this.options.dataLabel || 'Host page data', type: 'json' };
+    }
+    
+    // Set filters from an object ({ status: ["partial"], scoreMax: 80 }) or a
+    // single key and value; other filters are kept. null clears all filters.
+    async setFilter(filters, value) {
+        await this.ready;
+        if (filters === null) {
+            this.setFilters({});
+            return;
+        }
+        const changes = typeof filters === 'string' ? { [filters]: value } : filters;
+        this.setFilters({ ...this.filters, ...changes });
+    }
+    
+    // Zoom to a country (ISO code or name), a region of the active grouping or
+    // [[west, south], [east, north]] bounds; null returns to the world view.
+    // Resolves to false when nothing matches.
+    async zoomTo(target) {
+        await this.ready;
+        if (target === null || target === undefined) {
+            this.svg.transition()
+                .duration(750)
+                .call(this.zoom.transform, d3.zoomIdentity);
+            return true;
+        }
+        if (Array.isArray(target)) {
+            const [[west, south], [east, north]] = target;
+            this.zoomToFeatures([{
+                type: "Feature",
+                geometry: { type: "MultiPoint", coordinates: [[west, south], [east, south], [east, north], [west, north]] }
+            }]);
+            return true;
+        }
+        const region = this.regions.find(r => r.name === target);
+        const feature = region ? region.feature : this.findCountryFeature(target);
+        if (!feature) return false;
+        this.zoomToFeatures([feature]);
+        return true;
+    }
+    
+    // Country details passed with countryselect and hover events
+    getCountryEventDetail(feature) {
+        if (!feature) return { code: null, name: null, data: null };
+        const name = this.getCountryName(feature);
+        return { code: feature.properties.isoCode || null, name, data: this.getCybersecurityData(name) };
     }
     
     setupMap() {
-        const container = d3.select("#world-map");
+        const container = this.selectElement("#world-map");
         const containerNode = container.node();
         const width = containerNode.clientWidth;
         const height = containerNode.clientHeight;
@@ -37,14 +305,23 @@ class WorldMap {
         // Create SVG
         this.svg = container.append("svg")
             .attr("width", width)
-            .attr("height", height);
+            .attr("height", height)
+            .attr("role", "group")
+            .attr("aria-label", "World map of cybersecurity compliance. Use Tab or the arrow keys to move between countries and Enter to select one.");
         
-        // Setup projection
-        this.projection = d3.geoNaturalEarth1()
-            .scale(width / 6.5)
-            .translate([width / 2, height / 2]);
+        // The canvas renderer paints countries onto a canvas under the SVG,
+        // which keeps the overlays and the (geometry-less) country elements
+        // for state, styling, focus and events
+        this.renderer = (this.options.renderer || (this.config.rendering || {}).renderer) === 'canvas' ? 'canvas' : 'svg';
+        if (this.isCanvas()) {
+            this.canvas = container.insert("canvas", "svg").attr("class", "map-canvas");
+            this.svg.classed("canvas-mode", true);
+            this.sizeCanvas(width, height);
+        }
         
-        this.path = d3.geoPath().projection(this.projection);
+        // Setup projection
+        this.path = d3.geoPath();
+        this.setProjection(this.options.projection || (this.config.projection || {}).type || 'naturalEarth');
         
         // Camera follow cursor variables
         this.mousePos = { x: 0, y: 0 };
@@ -53,71 +330,237 @@ class WorldMap {
         this.smoothness = 0.1; // How smooth the follow is (0-1)
         this.animationId = null;
         this.baseTransform = d3.zoomIdentity;
+        this.viewTransform = d3.zoomIdentity;
         
         // Setup zoom with panning constraints
         this.zoom = d3.zoom()
             .scaleExtent([1, 8])
+            // On the globe a drag rotates instead of panning (pinch still zooms)
+            .filter(event => (!event.ctrlKey || event.type === 'wheel') && !event.button &&
+                !(this.isGlobe() && (event.type === 'mousedown' || (event.type === 'touchstart' && event.touches.length < 2))))
+            .on("end", () => this.updateUrlState())
             .on("zoom", (event) => {
+                // Paths scale with the group transform; they are only
+                // re-projected when the projection or level of detail changes
                 this.baseTransform = this.constrainTransform(event.transform);
                 this.applyCameraTransform();
-                // Re-render country paths for crisp edges
-                if (this.g && this.path) {
-                    this.g.selectAll(".country")
-                        .attr("d", this.path);
-                }
+                this.wakeCameraFollow();
+                this.updateSiteMarkers();
+                this.updateCountryLabels();
+                this.updateLevelOfDetail();
             });
         
         this.svg.call(this.zoom);
         
+        // Drag to rotate the globe; the rotation follows the cursor at the
+        // current scale so the point under it stays roughly in place
+        this.svg.call(d3.drag()
+            .filter(event => this.isGlobe() && !event.button && !(event.touches && event.touches.length > 1))
+            .on("start", () => {
+                this.svg.interrupt("rotate");
+                this.svg.classed("rotating", true);
+                this.startRotation();
+            })
+            .on("drag", (event) => {
+                const degrees = 180 / Math.PI / (this.projection.scale() * this.baseTransform.k);
+                const [lambda, phi] = this.projection.rotate();
+                this.projection.rotate([
+                    lambda + event.dx * degrees,
+                    Math.max(-90, Math.min(90, phi - event.dy * degrees))
+                ]);
+                this.renderProjection();
+            })
+            .on("end", () => {
+                this.svg.classed("rotating", false);
+                this.endRotation();
+                this.updateUrlState();
+            }));
+        
         // Setup camera follow system
         this.setupCameraFollow();
         
         // Add click handler to deselect when clicking on empty area
         this.svg.on("click", (event) => {
             // Only deselect if clicking on the SVG background (not on a country)
-            if (event.target === this.svg.node() || event.target.tagName === 'rect') {
+            if (this.isMapBackground(event.target)) {
+                const feature = this.isCanvas() ? this.findCountryAt(event) : null;
+                if (feature) {
+                    this.forwardCanvasEvent(event, feature);
+                    return;
+                }
                 this.deselectCountry();
+                this.deselectRegion();
             }
         });
         
         // Create group for countries
         this.g = this.svg.append("g");
         
+        if (this.isCanvas()) {
+            this.svg
+                .on("mousemove.hit", (event) => this.updateCanvasHover(event))
+                .on("mouseleave.hit", (event) => this.setHitCountry(event, null));
+            // Repaint whenever a country's classes, inline style, order or
+            // focus, or the view transform change
+            this.canvasObserver = new MutationObserver(() => this.scheduleCanvasRender());
+            this.canvasObserver.observe(this.g.node(), { subtree: true, childList: true, attributes: true, attributeFilter: ["class", "style", "transform"] });
+            this.g.on("focusin focusout", () => this.scheduleCanvasRender());
+        }
+        
         // Add ocean background
         this.svg.insert("rect", ":first-child")
             .attr("width", width)
             .attr("height", height)
             .attr("fill", "rgb(51, 51, 51)");
+        
+        this.renderSphere();
+    }
+    
+    // Projections offered by the projection selector, keyed by name. `outline`
+    // is the GeoJSON fitted to the view: the whole sphere, except for
+    // Mercator, whose poles lie at infinity.
+    getProjectionTypes() {
+        return {
+            naturalEarth: { label: "Natural Earth", create: () => d3.geoNaturalEarth1() },
+            equalEarth: { label: "Equal Earth", create: () => d3.geoEqualEarth() },
+            mercator: {
+                label: "Mercator",
+                create: () => d3.geoMercator(),
+                outline: { type: "MultiPoint", coordinates: [[-180, -58], [180, 84]] }
+            },
+            globe: { label: "Globe", create: () => d3.geoOrthographic().clipAngle(90), globe: true }
+        };
+    }
+    
+    isGlobe() {
+        return !!(this.getProjectionTypes()[this.projectionType] || {}).globe;
+    }
+    
+    // Switch projections and redraw every layer at the default zoom
+    setProjection(type) {
+        const types = this.getProjectionTypes();
+        if (!types[type] || type === this.projectionType) return;
+        this.projectionType = type;
+        this.projection = types[type].create();
+        if (types[type].globe) {
+            const [lon, lat] = (this.config.projection || {}).globeCenter || [0, 20];
+            this.projection.rotate([-lon, -lat]);
+        }
+        this.path.projection(this.projection);
+        this.fitProjection();
+        
+        this.svg.classed("globe", this.isGlobe());
+        this.root.getElementById("projection-mode").value = type;
+        if (!this.zoom) return;
+        
+        this.renderSphere();
+        this.svg.call(this.zoom.transform, d3.zoomIdentity);
+        this.renderProjection();
+        this.updateUrlState();
+    }
+    
+    // Fit the projection's outline into the map with a small margin
+    fitProjection() {
+        const width = +this.svg.attr("width");
+        const height = +this.svg.attr("height");
+        const margin = Math.min(width, height) * 0.04;
+        const outline = this.getProjectionTypes()[this.projectionType].outline || { type: "Sphere" };
+        this.projection.fitExtent([[margin, margin], [width - margin, height - margin]], outline);
+    }
+    
+    // The globe is drawn on a sphere so the ocean stands out from space
+    renderSphere() {
+        if (!this.g) return;
+        this.g.selectAll(".map-sphere")
+            .data(this.isGlobe() ? [{ type: "Sphere" }] : [])
+            .join(enter => enter.insert("path", ":first-child").attr("class", "map-sphere"))
+            .attr("d", this.isCanvas() ? null : this.path);
+    }
+    
+    renderPaths() {
+        this.countryBounds = null;
+        this.labelBounds = null;
+        if (this.isCanvas()) {
+            this.canvasPaths.clear();
+            this.scheduleCanvasRender();
+        }
+        this.g.selectAll(this.isCanvas() ? ".audit-marker, .region" : ".map-sphere, .country, .audit-marker, .region")
+            .attr("d", d => this.path(d.feature || d));
+    }
+    
+    // Redraw every projected layer after the projection changes
+    renderProjection() {
+        this.renderPaths();
+        this.updateSiteMarkers(true);
+        this.updateCountryLabels(true);
+    }
+    
+    // Whether a point is on the visible side of the globe (always true for
+    // flat projections)
+    isPointVisible(coordinates) {
+        if (!this.isGlobe()) return true;
+        const [lambda, phi] = this.projection.rotate();
+        return d3.geoDistance(coordinates, [-lambda, -phi]) < Math.PI / 2;
+    }
+    
+    // Rotate the globe to `rotation` over `duration` milliseconds, taking the
+    // short way round
+    rotateGlobe(rotation, duration = 750) {
+        const from = this.projection.rotate();
+        const lambda = from[0] + ((rotation[0] - from[0] + 540) % 360 + 360) % 360 - 180;
+        const interpolate = d3.interpolate(from, [lambda, rotation[1], 0]);
+        this.svg.transition("rotate")
+            .duration(duration)
+            .on("start", () => this.startRotation())
+            .on("end interrupt", () => this.endRotation())
+            .tween("rotate", () => t => {
+                this.projection.rotate(interpolate(t));
+                this.renderProjection();
+            });
+    }
+    
+    // While the globe turns every frame re-projects the countries, so they
+    // are drawn from the base geometry and labels are hidden; the level of
+    // detail and the labels return when it stops
+    startRotation() {
+        if (this.rotating) return;
+        this.rotating = true;
+        if (this.detailLevel) this.applyLevelOfDetail();
+        if (this.labelLayer) this.labelLayer.classed("hidden", true);
+    }
+    
+    endRotation() {
+        if (!this.rotating) return;
+        this.rotating = false;
+        if (this.destroyed) return;
+        if (this.detailLevel) this.applyLevelOfDetail();
+        this.renderProjection();
     }
     
     createTooltip() {
-        this.tooltip = d3.select("body").append("div")
+        this.tooltip = this.selectElement(".container").append("div")
             .attr("class", "tooltip");
     }
     
     createCountryLabel() {
-        this.countryLabel = d3.select("body").append("div")
+        this.countryLabel = this.selectElement(".container").append("div")
             .attr("class", "country-label");
     }
     
     async loadConfig() {
         try {
-            // Load main config
-            const configResponse = await fetch('./config.json');
-            this.config = await configResponse.json();
-            
-            // Load cybersecurity data
-            const dataResponse = await fetch(this.config.dataSource || './cybersecurity-data.json');
-            const cybersecurityData = await dataResponse.json();
-            
-            this.cybersecurityData = cybersecurityData.countries || {};
-            this.complianceCategories = cybersecurityData.complianceCategories || {};
+            const configResponse = await fetch(this.resolveUrl(this.options.configUrl || './config.json'));
+            // Top-level keys of options.config replace those of the file
+            this.config = { ...(await configResponse.json()), ...(this.options.config || {}) };
             
             console.log('Configuration loaded:', this.config);
-            console.log('Cybersecurity data loaded for countries:', Object.keys(this.cybersecurityData));
         } catch (error) {
-            console.warn('Could not load configuration files, using defaults:', error);
+            // On a refresh the loaded configuration stays in use and the
+            // failure is reported like any other refresh error
+            if (this.config) throw error;
+            console.warn('Could not load configuration file, using defaults:', error);
             this.config = {
+                dataSource: './cybersecurity-data.json',
                 settings: {
                     showCountryNames: true,
                     autoZoomOnClick: true,
@@ -125,236 +568,2421 @@ class WorldMap {
                     showComplianceInTooltip: true
                 }
             };
-            this.cybersecurityData = {};
-            this.complianceCategories = {
-                "unknown": {
-                    "color": "#9E9E9E",
-                    "label": "Unknown",
-                    "description": "Compliance status not assessed"
-                }
-            };
         }
+        
+        if (this.options.dataSource) {
+            this.config.dataSource = this.options.dataSource;
+        }
+        if (this.options.settings) {
+            this.config.settings = { ...this.config.settings, ...this.options.settings };
+        }
+        
+        this.palette = this.options.palette || this.getStoredPalette() || (this.config.accessibility || {}).palette || 'default';
+        this.applyPalette();
     }
     
-    async loadGoogleSheetData() {
-        // Replace with your Google Sheets CSV export URL
-        let baseCsvUrl = 'https://docs.google.com/spreadsheets/d/e/2PACX-1vR-MkxJwnlndd4CNaMnbB-UrxBWUlgqZ4DwLB-ccfG2RkvQnyyAfXyz1ULg-2kB8-fx1E-mMkpbQCTQ/pub?gid=0&single=true&output=csv';
-        // Add cache-busting parameter
-        const csvUrl = `${baseCsvUrl}&cb=${Date.now()}`;
-        const data = await d3.csv(csvUrl);
-        this.cybersecurityData = {};
-        data.forEach(row => {
-            this.cybersecurityData[row.Country] = {
-                cybersecurityStandard: row.cybersecurityStandard,
-                complianceStatus: row.complianceStatus,
-                unitsInCountry: row.unitsInCountry,
-                complianceScore: row.complianceScore,
-                certifications: row.certifications ? row.certifications.split(';') : [],
-                lastAuditDate: row.lastAuditDate
-            };
-        });
+    // Palettes offered by the palette selector, keyed by name
+    getPalettes() {
+        return (this.config.accessibility || {}).palettes || {};
     }
     
-    async loadSharePointCsvData() {
-        // Replace with your SharePoint CSV file direct link
-        let baseCsvUrl = 'https://nuttallscouk.sharepoint.com/:x:/s/FlexeserveConnect/EadFIEL-xdlBm0J80SXggqsB-b0WSAz6lKJSjDLmPeiV4g?e=KdAyNN';
-        // Add cache-busting parameter (handles ? or &)
-        const csvUrl = baseCsvUrl + (baseCsvUrl.includes('?') ? '&' : '?') + 'cb=' + Date.now();
-        const data = await d3.csv(csvUrl);
-        this.cybersecurityData = {};
-        data.forEach(row => {
-            this.cybersecurityData[row.Country] = {
-                cybersecurityStandard: row.cybersecurityStandard,
-                complianceStatus: row.complianceStatus,
-                unitsInCountry: row.unitsInCountry,
-                complianceScore: row.complianceScore,
-                certifications: row.certifications ? row.certifications.split(';') : [],
-                lastAuditDate: row.lastAuditDate
+    getStoredPalette() {
+        try {
+            return localStorage.getItem('worldmap.palette');
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    // Build the category and risk colors from config.json with the active
+    // palette's colors laid over them
+    applyPalette() {
+        const palette = this.getPalettes()[this.palette] || {};
+        const recolor = (entries, colors = {}) => Object.fromEntries(
+            Object.entries(entries).map(([key, entry]) => [key, colors[key] ? { ...entry, color: colors[key] } : { ...entry }])
+        );
+        const categories = { ...(this.config.complianceCategories || {}), ...(this.dataComplianceCategories || {}) };
+        this.complianceCategories = recolor(categories, palette.complianceCategories);
+        this.riskLevels = recolor(this.config.riskLevels || this.getDefaultRiskLevels(), palette.riskLevels);
+        
+        // Always keep a fallback category so uncolored countries have a color
+        if (!this.complianceCategories.unknown) {
+            this.complianceCategories.unknown = {
+                "color": (palette.complianceCategories || {}).unknown || "#9E9E9E",
+                "label": "Unknown",
+                "description": "Compliance status not assessed"
             };
+        }
+    }
+    
+    // Switch palettes and recolor the map, legend and panels
+    setPalette(name) {
+        if (!this.getPalettes()[name] && name !== 'default') return;
+        this.palette = name;
+        try {
+            localStorage.setItem('worldmap.palette', name);
+        } catch (error) {
+            console.warn('Could not remember palette choice:', error);
+        }
+        this.applyPalette();
+        this.buildColorModes();
+        this.renderLegend();
+        this.updateCountryStyles();
+        this.renderCompareTray();
+    }
+    
+    getDefaultRiskLevels() {
+        return {
+            "low": { "color": "#4CAF50", "label": "Low" },
+            "medium": { "color": "#FF9800", "label": "Medium" },
+            "high": { "color": "#F44336", "label": "High" },
+            "critical": { "color": "#B71C1C", "label": "Critical" }
+        };
+    }
+    
+    // Fields shown in the info panel and tooltip when config.json has no
+    // "fields" block. Definitions are keyed by record field.
+    getDefaultFieldSchema() {
+        return {
+            definitions: {
+                cybersecurityStandard: { label: "Cybersecurity Standard", empty: "Not specified" },
+                complianceStatus: { label: "Compliance Status", format: "badge", badges: "complianceCategories", empty: "Unknown" },
+                unitsInCountry: { label: "Units in Country", format: "number", suffix: " units", empty: "0 units" },
+                complianceScore: { label: "Compliance Score", format: "percent" },
+                certifications: { label: "Certifications", format: "list", empty: "None" },
+                lastAuditDate: { label: "Last Audit Date", format: "date", empty: "Never" },
+                riskLevel: { label: "Risk Level", format: "badge", badges: "riskLevels" }
+            },
+            infoPanel: ["cybersecurityStandard", "complianceStatus", "unitsInCountry", "complianceScore", "certifications", "lastAuditDate"],
+            tooltip: [
+                { field: "complianceStatus", label: "" },
+                { field: "unitsInCountry", label: "Units", suffix: "" },
+                { field: "complianceScore", label: "Score" }
+            ]
+        };
+    }
+    
+    // Resolve the info panel and tooltip field lists against the field
+    // definitions. List entries are field names or objects overriding the
+    // definition of their "field" (e.g. a shorter label for the tooltip).
+    getFieldSchema() {
+        const defaults = this.getDefaultFieldSchema();
+        const fields = this.config.fields || {};
+        const definitions = { ...defaults.definitions, ...(fields.definitions || {}) };
+        const resolve = (list) => list.map(entry => {
+            const field = typeof entry === 'string' ? { field: entry } : entry;
+            return { label: field.field, ...definitions[field.field], ...field };
         });
+        return {
+            definitions,
+            infoPanel: resolve(fields.infoPanel || defaults.infoPanel),
+            tooltip: resolve(fields.tooltip || defaults.tooltip)
+        };
     }
     
-    async loadData() {
+    // Cache the app shell and last-good data so the map works offline
+    registerServiceWorker() {
+        const offline = this.config.offline || {};
+        if (offline.serviceWorker === false || !('serviceWorker' in navigator)) {
+            return;
+        }
+        navigator.serviceWorker.register(this.resolveUrl(offline.serviceWorkerUrl || './sw.js'))
+            .then(registration => console.log('Service worker registered:', registration.scope))
+            .catch(error => console.warn('Service worker registration failed:', error));
+    }
+    
+    // Load d3 and topojson from the local paths in config.json,
+    // falling back to their CDN copies. Runs before the map is created.
+    static async loadLibraries(baseUrl = WORLD_MAP_BASE_URL) {
+        let assets = {};
         try {
-            // Show loading overlay
-            let loadingOverlay = document.getElementById('loading-overlay');
-            if (!loadingOverlay) {
-                loadingOverlay = document.createElement('div');
-                loadingOverlay.id = 'loading-overlay';
-                loadingOverlay.style.position = 'fixed';
-                loadingOverlay.style.top = '0';
-                loadingOverlay.style.left = '0';
-                loadingOverlay.style.width = '100vw';
-                loadingOverlay.style.height = '100vh';
-                loadingOverlay.style.background = 'rgba(51,51,51,0.95)';
-                loadingOverlay.style.display = 'flex';
-                loadingOverlay.style.alignItems = 'center';
-                loadingOverlay.style.justifyContent = 'center';
-                loadingOverlay.style.zIndex = '9999';
-                loadingOverlay.innerHTML = '<div style="color:#fff;font-size:2rem;text-align:center;"><span class="loader" style="display:inline-block;width:48px;height:48px;border:6px solid #fff;border-top:6px solid #888;border-radius:50%;animation:spin 1s linear infinite;margin-bottom:16px;"></span><br>Loading map data...</div>';
-                document.body.appendChild(loadingOverlay);
-                // Add keyframes for spinner
-                const style = document.createElement('style');
-                style.innerHTML = '@keyframes spin {0%{transform:rotate(0deg);}100%{transform:rotate(360deg);}}';
-                document.head.appendChild(style);
-            } else {
-                loadingOverlay.style.display = 'flex';
-            }
-            // Load world map data
-            const world = await d3.json("https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json");
-            this.countries = topojson.feature(world, world.objects.countries);
-            
-            // Debug: Log all country names to help with configuration
-            console.log("Available country names:");
-            this.countries.features.forEach(d => {
-                const name = this.getCountryName(d);
-                console.log(`"${name}"`);
-            });
-            
-            // Load country information from Google Sheets
-            await this.loadGoogleSheetData();
-            // Load country information from SharePoint CSV
-            //await this.loadSharePointCsvData();
-            this.drawCountries();
-            // Fade out loading overlay
-            loadingOverlay.style.transition = 'opacity 0.7s';
-            loadingOverlay.style.opacity = '0';
-            setTimeout(() => {
-                loadingOverlay.style.display = 'none';
-            }, 700);
+            const response = await fetch(new URL('./config.json', baseUrl));
+            assets = (await response.json()).assets || {};
         } catch (error) {
-            console.error("Error loading map data:", error);
-            let loadingOverlay = document.getElementById('loading-overlay');
-            if (loadingOverlay) {
-                loadingOverlay.innerHTML = '<div style="color:#fff;font-size:2rem;text-align:center;">Error loading map data.<br>Please refresh the page.</div>';
+            console.warn('Could not read library locations from config.json:', error);
+        }
+        
+        const libraries = assets.libraries || [
+            { global: "d3", local: "./vendor/d3.v7.min.js", cdn: "https://d3js.org/d3.v7.min.js" },
+            { global: "topojson", local: "./vendor/topojson-client.min.js", cdn: "https://unpkg.com/topojson@3" }
+        ];
+        
+        for (const library of libraries) {
+            if (library.global && window[library.global]) continue;
+            
+            const urls = [library.local, assets.cdnFallback !== false ? library.cdn : null].filter(Boolean);
+            let loaded = false;
+            for (const url of urls) {
+                try {
+                    await WorldMap.loadScript(new URL(url, baseUrl).href);
+                    loaded = true;
+                    break;
+                } catch (error) {
+                    console.warn(`Could not load ${library.global || url} from ${url}`);
+                }
+            }
+            if (!loaded && !library.optional) {
+                throw new Error(`Library ${library.global || urls[0]} could not be loaded`);
             }
         }
     }
     
-    drawCountries() {
-        // Filter out Antarctica
-        const filteredCountries = this.countries.features.filter(d => {
-            const countryName = this.getCountryName(d);
-            return countryName !== "Antarctica";
+    static loadScript(url) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement("script");
+            script.src = url;
+            script.onload = resolve;
+            script.onerror = () => {
+                script.remove();
+                reject(new Error(`Failed to load ${url}`));
+            };
+            document.head.appendChild(script);
         });
-        this.g.selectAll(".country")
-            .data(filteredCountries)
-            .enter().append("path")
-            .attr("class", d => {
-                const countryName = this.getCountryName(d);
-                const data = this.getCybersecurityData(countryName);
-                let classes = "country";
-                if (data) {
-                    classes += ` compliance-${data.complianceStatus}`;
-                    console.log(`Country with data: ${countryName} - Status: ${data.complianceStatus}`);
-                } else {
-                    classes += " compliance-unknown";
-                }
-                return classes;
-            })
-            .attr("d", this.path)
-            .style("fill", d => {
-                const countryName = this.getCountryName(d);
-                return this.getCountryColor(countryName);
-            })
-            .on("mouseover", (event, d) => this.onCountryHover(event, d))
-            .on("mouseout", () => this.onCountryHoverOut())
-            .on("click", (event, d) => this.onCountryClick(event, d));
     }
     
-
+    // Resolve the active data source definition from config.json.
+    // `dataSource` may name an entry in `dataSources`, or be a plain path/URL
+    // to a JSON file (the original config format).
+    getDataSourceConfig(selected = this.config.dataSource || 'local', defaultRecordsPath = 'countries') {
+        const sources = this.config.dataSources || {};
+        
+        if (typeof selected === 'object') {
+            return { name: selected.name || 'inline', ...selected };
+        }
+        if (sources[selected]) {
+            return { name: selected, ...sources[selected] };
+        }
+        if (/[./]/.test(selected)) {
+            return { name: selected, type: 'json', url: selected, recordsPath: defaultRecordsPath };
+        }
+        throw new Error(`Unknown data source "${selected}" in config.json`);
+    }
     
-
+    // Adapters fetch raw rows for each supported data source type.
+    // Every adapter resolves to an array of plain objects, one per country.
+    getDataSourceAdapters() {
+        return {
+            csv: async (source) => d3.csvParse(await (await this.fetchDataSource(source, {})).text()),
+            tsv: async (source) => d3.tsvParse(await (await this.fetchDataSource(source, {})).text()),
+            json: (source) => this.loadJsonRows(source, {}),
+            api: (source) => this.loadJsonRows(source, {
+                method: source.method || 'GET',
+                headers: source.headers || {}
+            })
+        };
+    }
     
-    getCountryName(d) {
-        // Try different property names that might contain the country name
-        return d.properties.NAME || 
-               d.properties.NAME_EN || 
-               d.properties.NAME_LONG || 
-               d.properties.ADMIN ||
-               d.properties.sovereignt ||
-               d.properties.name ||
-               "Unknown";
+    getDataSourceUrl(source) {
+        if (!source.url) {
+            throw new Error(`Data source "${source.name}" has no url`);
+        }
+        const url = this.resolveUrl(source.url);
+        if (!source.cacheBust) {
+            return url;
+        }
+        // Add cache-busting parameter (handles ? or &)
+        return url + (url.includes('?') ? '&' : '?') + 'cb=' + Date.now();
     }
-
-
-    // Get cybersecurity data for a country (handles name variations)
-    getCybersecurityData(countryName) {
-        // Direct match
-        if (this.cybersecurityData[countryName]) {
-            return this.cybersecurityData[countryName];
+    
+    // Fetch a data source. Responses served by the service worker from its
+    // last-good cache carry the time they were cached.
+    async fetchDataSource(source, requestInit) {
+        const response = await fetch(this.getDataSourceUrl(source), requestInit);
+        if (!response.ok) {
+            throw new Error(`Data source "${source.name}" responded with ${response.status}`);
         }
+        this.dataCachedAt = response.headers.get('X-Cached-At');
+        return response;
+    }
+    
+    async loadJsonRows(source, requestInit) {
+        const response = await this.fetchDataSource(source, requestInit);
+        const payload = await response.json();
         
-        // Handle common variations
-        const variations = {
-            "United States of America": "United States",
-            "USA": "United States", 
-            "US": "United States",
-            "UK": "United Kingdom",
-            "Great Britain": "United Kingdom",
-            "Britain": "United Kingdom",
-            "Korea, Republic of": "South Korea",
-            "Republic of Korea": "South Korea",
-            "Korea, Democratic People's Republic of": "North Korea",
-            "Russian Federation": "Russia",
-            "Iran, Islamic Republic of": "Iran",
-            "Syrian Arab Republic": "Syria",
-            "Venezuela, Bolivarian Republic of": "Venezuela",
-            "Bolivia, Plurinational State of": "Bolivia",
-            "Tanzania, United Republic of": "Tanzania"
-        };
+        // A JSON file may carry its own compliance categories
+        if (payload && payload.complianceCategories) {
+            this.dataComplianceCategories = payload.complianceCategories;
+            this.applyPalette();
+        }
         
-        // Check if there's a variation that maps to our data
-        const mappedName = variations[countryName];
-        if (mappedName && this.cybersecurityData[mappedName]) {
-            return this.cybersecurityData[mappedName];
+        let records = payload;
+        if (source.recordsPath) {
+            records = source.recordsPath.split('.').reduce((value, key) => value ? value[key] : undefined, payload);
+        }
+        if (!records) {
+            throw new Error(`Data source "${source.name}" has no records at "${source.recordsPath}"`);
         }
         
-        return null;
+        return this.recordsToRows(records, source);
     }
     
-    // Get the color for a country based on compliance status
-    getCountryColor(countryName) {
-        const data = this.getCybersecurityData(countryName);
-        if (data && data.complianceStatus) {
-            const category = this.complianceCategories[data.complianceStatus];
-            return category ? category.color : this.complianceCategories.unknown.color;
+    // Objects keyed by country name become rows with a country column
+    recordsToRows(records, source) {
+        if (!Array.isArray(records)) {
+            const countryColumn = this.getColumnMapping(source).country;
+            return Object.entries(records).map(([name, record]) => ({ [countryColumn]: name, ...record }));
         }
-        return this.complianceCategories.unknown?.color || "#e0e0e0";
+        return records;
     }
     
-    onCountryHover(event, d) {
-        const countryName = this.getCountryName(d);
-        const data = this.getCybersecurityData(countryName);
+    // Column mapping from source columns to record fields; unmapped fields
+    // are read from a column of the same name.
+    getColumnMapping(source) {
+        return {
+            country: 'country',
+            countryCode: 'countryCode',
+            cybersecurityStandard: 'cybersecurityStandard',
+            complianceStatus: 'complianceStatus',
+            unitsInCountry: 'unitsInCountry',
+            complianceScore: 'complianceScore',
+            certifications: 'certifications',
+            lastAuditDate: 'lastAuditDate',
+            riskLevel: 'riskLevel',
+            history: 'history',
+            // Extra fields defined for the info panel are read the same way
+            ...Object.fromEntries(Object.entries(this.getFieldSchema().definitions)
+                .map(([field, definition]) => [field, definition.column || field])),
+            ...(source.columns || {})
+        };
+    }
+    
+    mapRowToRecord(row, columns, source) {
+        const record = {};
+        Object.entries(columns).forEach(([field, column]) => {
+            if (field !== 'country' && field !== 'countryCode' && row[column] !== undefined) {
+                record[field] = row[column];
+            }
+        });
         
-        // Bring hovered country to front by moving it to the end of the DOM
-        const hoveredElement = d3.select(event.currentTarget);
-        hoveredElement.raise();
+        // Delimited text sources store certifications as a single cell
+        if (typeof record.certifications === 'string') {
+            const separator = source.listSeparator || ';';
+            record.certifications = record.certifications.split(separator).map(c => c.trim()).filter(Boolean);
+        } else if (!record.certifications) {
+            record.certifications = [];
+        }
+        return record;
+    }
+    
+    // Load country information from the data source configured in config.json
+    async loadCybersecurityData() {
+        const source = this.getDataSourceConfig();
+        const adapter = this.getDataSourceAdapters()[source.type || 'json'];
+        if (!adapter) {
+            throw new Error(`Unsupported data source type "${source.type}" for "${source.name}"`);
+        }
         
-        // Highlight country
-        hoveredElement.classed("highlighted", true);
+        this.setCybersecurityRows(await adapter(source), source);
+    }
+    
+    // Validate data rows into cybersecurityData and report any issues
+    setCybersecurityRows(rows, source) {
+        const columns = this.getColumnMapping(source);
         
-        // Show hover tooltip
-        let labelContent = `<strong>${countryName}</strong>`;
+        // Delimited text sources have a header line, so data starts on row 2
+        const firstRowNumber = (source.type === 'csv' || source.type === 'tsv') ? 2 : 1;
         
-        if (data) {
-            const category = this.complianceCategories[data.complianceStatus];
-            const statusColor = category ? category.color : '#666';
-            labelContent += `<br><span style="color: ${statusColor};">● ${category ? category.label : 'Unknown'}</span>`;
+        this.cybersecurityData = {};
+        this.dataIssues = [];
+        rows.forEach((row, index) => {
+            const rowNumber = index + firstRowNumber;
+            const countryName = String(row[columns.country] || '').trim();
+            const isoCode = this.resolveCountryCode(row[columns.countryCode]) || this.resolveCountryCode(countryName);
+            const { record, issues } = this.validateRecord(countryName, this.mapRowToRecord(row, columns, source), rowNumber, isoCode);
             
-            if (this.config.settings.showComplianceInTooltip) {
-                labelContent += `<br>Units: ${data.unitsInCountry || 0}`;
-                labelContent += `<br>Score: ${data.complianceScore || 'N/A'}%`;
+            const existing = this.cybersecurityData[countryName];
+            this.dataIssues.push(...issues);
+            if (!record) return;
+            
+            record.isoCode = isoCode;
+            if (existing && existing.lastAuditDate && record.lastAuditDate && existing.lastAuditDate !== record.lastAuditDate) {
+                // Several dated rows for one country form its audit history
+                this.cybersecurityData[countryName] = this.mergeHistoryRow(existing, record);
+            } else {
+                if (existing) {
+                    this.dataIssues.push({ rowNumber, country: countryName, field: 'country', value: countryName, severity: 'warning', reason: 'Duplicate country; this row replaces an earlier one' });
+                }
+                this.cybersecurityData[countryName] = record;
+            }
+        });
+        this.dataSourceName = source.label || source.name;
+        this.dataSource = source;
+        this.dataLoadedAt = new Date();
+        
+        // Local edits are kept per data source and laid over every load
+        if (this.draftSource !== source.name) {
+            this.draftSource = source.name;
+            this.draft = this.loadDraft();
+        }
+        this.loadedData = this.cybersecurityData;
+        this.cybersecurityData = this.applyDraft(this.loadedData);
+        this.indexCybersecurityData();
+        
+        console.log(`Cybersecurity data loaded from "${this.dataSourceName}" for countries:`, Object.keys(this.cybersecurityData));
+        this.showDataIssues();
+        this.showStaleDataBanner();
+    }
+    
+    // Warn when the compliance data came from the offline cache
+    showStaleDataBanner() {
+        const banner = this.root.getElementById("stale-data-banner");
+        if (!banner) return;
+        
+        if (this.dataCachedAt) {
+            const cachedAt = new Date(this.dataCachedAt);
+            banner.textContent = `Offline — showing stale data as of ${cachedAt.toLocaleString()}`;
+            banner.classList.remove("hidden");
+        } else {
+            banner.classList.add("hidden");
+        }
+    }
+    
+    // Column mapping for the optional unit/site dataset
+    getSiteColumnMapping(source) {
+        return {
+            site: 'site',
+            country: 'country',
+            latitude: 'latitude',
+            longitude: 'longitude',
+            unitModel: 'unitModel',
+            complianceStatus: 'complianceStatus',
+            units: 'units',
+            lastAuditDate: 'lastAuditDate',
+            ...(source.columns || {})
+        };
+    }
+    
+    getSiteSchema() {
+        return {
+            latitude: { type: 'number', min: -90, max: 90, required: true },
+            longitude: { type: 'number', min: -180, max: 180, required: true },
+            unitModel: { type: 'string' },
+            complianceStatus: { type: 'status' },
+            units: { type: 'integer', min: 0 },
+            lastAuditDate: { type: 'date' }
+        };
+    }
+    
+    // Load individual unit sites from the data source named under `sites`.
+    // Sites are optional detail, so a failed load is reported in the data
+    // issues panel without stopping the map.
+    async loadSiteData() {
+        const options = this.config.sites || {};
+        this.sites = [];
+        this.showSites = options.visible !== false;
+        if (!options.dataSource) return;
+        
+        // Keep the compliance data's cache time for the stale data banner
+        const cachedAt = this.dataCachedAt;
+        try {
+            const source = this.getDataSourceConfig(options.dataSource, 'sites');
+            const adapter = this.getDataSourceAdapters()[source.type || 'json'];
+            if (!adapter) {
+                throw new Error(`Unsupported data source type "${source.type}" for "${source.name}"`);
+            }
+            const rows = await adapter(source);
+            const columns = this.getSiteColumnMapping(source);
+            const firstRowNumber = (source.type === 'csv' || source.type === 'tsv') ? 2 : 1;
+            const schema = this.getSiteSchema();
+            
+            rows.forEach((row, index) => {
+                const rowNumber = index + firstRowNumber;
+                const site = {
+                    name: String(row[columns.site] || '').trim() || `Site ${rowNumber}`,
+                    country: String(row[columns.country] || '').trim()
+                };
+                const issues = [];
+                const addIssue = (field, value, severity, reason) => {
+                    issues.push({ dataset: 'Sites', rowNumber, country: site.name, field, value, severity, reason });
+                };
+                
+                Object.entries(schema).forEach(([field, rule]) => {
+                    const value = row[columns[field]];
+                    if (value === undefined || value === null || String(value).trim() === '') {
+                        if (rule.required) {
+                            addIssue(field, '', 'error', 'Missing value');
+                        }
+                        site[field] = null;
+                        return;
+                    }
+                    const result = this.coerceValue(value, rule);
+                    if (result.error) {
+                        addIssue(field, value, 'error', result.error);
+                    } else {
+                        if (result.warning) {
+                            addIssue(field, value, 'warning', result.warning);
+                        }
+                        site[field] = result.value;
+                    }
+                });
+                
+                this.dataIssues.push(...issues);
+                if (issues.some(issue => issue.severity === 'error')) return;
+                
+                site.complianceStatus = site.complianceStatus || 'unknown';
+                site.units = site.units ?? 1;
+                site.isoCode = this.resolveCountryCode(site.country);
+                this.sites.push(site);
+            });
+            console.log(`Loaded ${this.sites.length} unit sites from "${source.label || source.name}"`);
+        } catch (error) {
+            console.warn('Could not load unit sites:', error);
+            this.dataIssues.push({ dataset: 'Sites', rowNumber: '—', country: String(options.dataSource), field: 'source', value: '', severity: 'error', reason: error.message });
+        }
+        this.dataCachedAt = cachedAt;
+        this.showDataIssues();
+    }
+    
+    // Rebuild the ISO code lookup and the list of rows without map geometry
+    indexCybersecurityData() {
+        this.cybersecurityDataByCode = {};
+        this.unmatchedCountries = [];
+        Object.entries(this.cybersecurityData).forEach(([countryName, record]) => {
+            if (record.isoCode) {
+                this.cybersecurityDataByCode[record.isoCode] = record;
+            }
+            if (!this.findCountryFeature(record.isoCode || countryName)) {
+                this.unmatchedCountries.push(countryName);
+            }
+        });
+        if (this.unmatchedCountries.length > 0) {
+            console.warn('Data rows with no matching map geometry:', this.unmatchedCountries);
+        }
+    }
+    
+    // Schema for imported compliance rows. Each field is coerced to its type;
+    // values that cannot be coerced reject the row.
+    getRecordSchema() {
+        return {
+            cybersecurityStandard: { type: 'string' },
+            complianceStatus: { type: 'status', required: true },
+            complianceScore: { type: 'number', min: 0, max: 100 },
+            unitsInCountry: { type: 'integer', min: 0 },
+            lastAuditDate: { type: 'date' },
+            riskLevel: { type: 'enum', values: Object.keys(this.riskLevels) },
+            certifications: { type: 'list' }
+        };
+    }
+    
+    // Validate and coerce a mapped row. Returns the clean record (or null when
+    // the row is rejected) together with any issues found.
+    validateRecord(countryName, rawRecord, rowNumber, isoCode) {
+        const issues = [];
+        const addIssue = (field, value, severity, reason) => {
+            issues.push({ rowNumber, country: countryName || '(blank)', field, value, severity, reason });
+        };
+        
+        if (!countryName) {
+            addIssue('country', '', 'error', 'Missing country name');
+            return { record: null, issues };
+        }
+        if (!isoCode && !this.findCountryFeature(countryName)) {
+            addIssue('country', countryName, 'error', 'Unrecognised country name or ISO code');
+        } else if (!this.findCountryFeature(isoCode || countryName)) {
+            addIssue('country', countryName, 'warning', 'Matched no map geometry; not shown on the map');
+        }
+        
+        const record = { ...rawRecord };
+        Object.entries(this.getRecordSchema()).forEach(([field, rule]) => {
+            const value = rawRecord[field];
+            const isBlank = value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+            if (isBlank) {
+                if (rule.required) {
+                    addIssue(field, '', 'warning', 'Missing value; treated as unknown');
+                    record[field] = 'unknown';
+                } else {
+                    record[field] = rule.type === 'list' ? [] : null;
+                }
+                return;
+            }
+            
+            const result = this.coerceValue(value, rule);
+            if (result.error) {
+                addIssue(field, value, 'error', result.error);
+            } else {
+                if (result.warning) {
+                    addIssue(field, value, 'warning', result.warning);
+                }
+                record[field] = result.value;
+            }
+        });
+        
+        if (rawRecord.history !== undefined) {
+            record.history = this.validateHistory(rawRecord.history, addIssue);
+        }
+        
+        const rejected = issues.some(issue => issue.severity === 'error');
+        return { record: rejected ? null : record, issues };
+    }
+    
+    // Validate dated audit records. Invalid entries are dropped with a warning
+    // rather than rejecting the whole country.
+    validateHistory(history, addIssue) {
+        if (!Array.isArray(history)) {
+            addIssue('history', String(history), 'warning', 'History must be a list of audit records; ignored');
+            return [];
+        }
+        
+        const schema = this.getRecordSchema();
+        const entries = [];
+        history.forEach((rawEntry, index) => {
+            const rawDate = rawEntry.date || rawEntry.lastAuditDate || '';
+            const date = this.coerceValue(rawDate, schema.lastAuditDate);
+            if (!rawDate || date.error) {
+                addIssue('history', rawDate, 'warning', `Audit record ${index + 1} has no valid date; ignored`);
+                return;
+            }
+            
+            const entry = { date: date.value };
+            Object.entries(rawEntry).forEach(([field, value]) => {
+                const rule = schema[field];
+                if (!rule || field === 'lastAuditDate') return;
+                const result = this.coerceValue(value, rule);
+                if (result.error) {
+                    addIssue('history', value, 'warning', `Audit record ${index + 1} ${field}: ${result.error}; ignored`);
+                } else {
+                    entry[field] = result.value;
+                }
+            });
+            entries.push(entry);
+        });
+        return entries.sort((a, b) => a.date.localeCompare(b.date));
+    }
+    
+    // Combine two dated rows for the same country: the most recent audit is
+    // the current record and the older one joins its history
+    mergeHistoryRow(existing, record) {
+        const [older, newer] = existing.lastAuditDate < record.lastAuditDate ? [existing, record] : [record, existing];
+        const { history: olderHistory = [], isoCode, lastAuditDate, ...olderFields } = older;
+        const history = [...olderHistory, ...(newer.history || []), { date: lastAuditDate, ...olderFields }]
+            .sort((a, b) => a.date.localeCompare(b.date));
+        return { ...newer, history };
+    }
+    
+    coerceValue(value, rule) {
+        const text = String(value).trim();
+        switch (rule.type) {
+            case 'status': {
+                if (this.complianceCategories[value]) {
+                    return { value };
+                }
+                const normalized = text.toLowerCase().replace(/[\s_]+/g, '-');
+                const key = Object.keys(this.complianceCategories).find(k =>
+                    k === normalized || (this.complianceCategories[k].label || '').toLowerCase() === text.toLowerCase()
+                );
+                if (!key) {
+                    return { error: `Unknown status; expected one of ${Object.keys(this.complianceCategories).join(', ')}` };
+                }
+                return { value: key, warning: `Interpreted as "${key}"` };
+            }
+            case 'number':
+            case 'integer': {
+                const number = typeof value === 'number' ? value : Number(text.replace(/%$/, ''));
+                if (!Number.isFinite(number)) {
+                    return { error: 'Not a number' };
+                }
+                if (rule.type === 'integer' && !Number.isInteger(number)) {
+                    return { error: 'Not a whole number' };
+                }
+                if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+                    return { error: `Out of range ${rule.min ?? '-∞'}–${rule.max ?? '∞'}` };
+                }
+                return { value: number, warning: typeof value === 'number' || String(number) === text ? null : `Interpreted as ${number}` };
+            }
+            case 'date': {
+                const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(T.*)?$/);
+                const date = match ? new Date(`${match[1]}-${match[2]}-${match[3]}T00:00:00Z`) : null;
+                if (!date || isNaN(date) || date.toISOString().slice(0, 10) !== text.slice(0, 10)) {
+                    return { error: 'Not an ISO date (YYYY-MM-DD)' };
+                }
+                return { value: text.slice(0, 10), warning: match[4] ? 'Time portion ignored' : null };
+            }
+            case 'enum': {
+                const normalized = text.toLowerCase();
+                if (!rule.values.includes(normalized)) {
+                    return { error: `Expected one of ${rule.values.join(', ')}` };
+                }
+                return { value: normalized, warning: normalized === value ? null : `Interpreted as "${normalized}"` };
+            }
+            case 'list':
+                return { value: Array.isArray(value) ? value : text.split(';').map(v => v.trim()).filter(Boolean) };
+            default:
+                return { value: text };
+        }
+    }
+    
+    // Show rejected and ambiguous rows from the last data load
+    showDataIssues() {
+        const panel = this.root.getElementById("data-issues-panel");
+        if (!panel) return;
+        
+        const issues = this.dataIssues || [];
+        if (issues.length === 0) {
+            panel.classList.add("hidden");
+            return;
+        }
+        
+        const rowKey = (issue) => `${issue.dataset || ''}:${issue.rowNumber}`;
+        const rejectedRows = new Set(issues.filter(i => i.severity === 'error').map(rowKey));
+        const warnedRows = new Set(issues.filter(i => i.severity === 'warning').map(rowKey));
+        this.root.getElementById("data-issues-summary").textContent =
+            `${rejectedRows.size} row(s) rejected, ${warnedRows.size} row(s) with ambiguous values`;
+        
+        this.selectElement("#data-issues-list")
+            .selectAll("li")
+            .data(issues)
+            .join("li")
+            .attr("class", d => `data-issue data-issue-${d.severity}`)
+            .text(d => `${d.dataset ? `${d.dataset} row` : 'Row'} ${d.rowNumber} · ${d.country} · ${d.field}${d.value !== '' ? ` "${d.value}"` : ''}: ${d.reason}`);
+        
+        panel.classList.remove("hidden");
+    }
+    
+    async loadData() {
+        try {
+            // Show loading overlay
+            let loadingOverlay = this.root.getElementById('loading-overlay');
+            if (!loadingOverlay) {
+                loadingOverlay = document.createElement('div');
+                loadingOverlay.id = 'loading-overlay';
+                loadingOverlay.style.position = 'absolute';
+                loadingOverlay.style.top = '0';
+                loadingOverlay.style.left = '0';
+                loadingOverlay.style.width = '100%';
+                loadingOverlay.style.height = '100%';
+                loadingOverlay.style.background = 'rgba(51,51,51,0.95)';
+                loadingOverlay.style.display = 'flex';
+                loadingOverlay.style.alignItems = 'center';
+                loadingOverlay.style.justifyContent = 'center';
+                loadingOverlay.style.zIndex = '9999';
+                loadingOverlay.innerHTML = '<div style="color:#fff;font-size:2rem;text-align:center;"><span class="loader" style="display:inline-block;width:48px;height:48px;border:6px solid #fff;border-top:6px solid #888;border-radius:50%;animation:spin 1s linear infinite;margin-bottom:16px;"></span><br>Loading map data...</div>';
+                this.root.appendChild(loadingOverlay);
+                // Add keyframes for spinner
+                const style = document.createElement('style');
+                style.innerHTML = '@keyframes spin {0%{transform:rotate(0deg);}100%{transform:rotate(360deg);}}';
+                this.root.appendChild(style);
+            } else {
+                loadingOverlay.style.display = 'flex';
+            }
+            await this.loadCountryCodes();
+            
+            // Load world map data
+            const world = await this.loadGeometry();
+            this.topology = world;
+            this.countries = topojson.feature(world, world.objects.countries);
+            this.assignCountryCodes();
+            this.levelGeometries = [this.getGeometriesByKey(this.countries.features)];
+            this.geometryLevels = [Promise.resolve()];
+            
+            // Debug: Log all country names to help with configuration
+            console.log("Available country names:");
+            this.countries.features.forEach(d => {
+                const name = this.getCountryName(d);
+                console.log(`"${name}" (${d.properties.isoCode || 'no ISO code'})`);
+            });
+            
+            await this.loadCybersecurityData();
+            await this.loadSiteData();
+            this.buildColorModes();
+            this.renderLegend();
+            this.renderFilterPanel();
+            this.drawCountries();
+            this.updateAuditMarkers();
+            this.updateSiteMarkers(true);
+            this.showLabels = this.config.settings.showCountryNames !== false;
+            this.updateCountryLabels(true);
+            this.refreshTimeline();
+            this.renderDashboard();
+            this.emitDataLoaded([]);
+            // Fade out loading overlay
+            loadingOverlay.style.transition = 'opacity 0.7s';
+            loadingOverlay.style.opacity = '0';
+            setTimeout(() => {
+                loadingOverlay.style.display = 'none';
+            }, 700);
+        } catch (error) {
+            console.error("Error loading map data:", error);
+            this.emit("error", { error, message: error.message });
+            let loadingOverlay = this.root.getElementById('loading-overlay');
+            if (loadingOverlay) {
+                loadingOverlay.innerHTML = '<div style="color:#fff;font-size:2rem;text-align:center;">Error loading map data.<br>Please refresh the page.</div>';
+            }
+        }
+    }
+    
+    // Load map geometry from the local bundle, falling back to the CDN
+    async loadGeometry(geometry = (this.config.assets || {}).geometry || {
+        cdn: "https://cdn.jsdelivr.net/npm/world-atlas@2/countries-110m.json"
+    }) {
+        const assets = this.config.assets || {};
+        const urls = [geometry.local, assets.cdnFallback !== false ? geometry.cdn : null].filter(Boolean);
+        
+        for (const url of urls) {
+            try {
+                return await d3.json(this.resolveUrl(url));
+            } catch (error) {
+                console.warn(`Could not load map geometry from ${url}:`, error);
+            }
+        }
+        throw new Error("Map geometry unavailable from all configured locations");
+    }
+    
+    // Finer geometry swapped in as the map zooms in: assets.geometry.detail
+    // lists sources with the zoom scale from which each is used
+    getDetailLevels() {
+        const geometry = (this.config.assets || {}).geometry || {};
+        return [{ minZoom: 1 }, ...(geometry.detail || [])];
+    }
+    
+    // Geometries keyed by the feature's ISO numeric id, or by name for the
+    // few disputed areas without one. The finer atlases give some small
+    // territories their sovereign's id (Ashmore and Cartier Is. share
+    // Australia's), so the largest geometry with a key wins.
+    getGeometryKey(feature) {
+        return feature.id ?? feature.properties.name;
+    }
+    
+    getGeometriesByKey(features) {
+        return d3.rollup(
+            features,
+            group => (group.length === 1 ? group[0] : d3.greatest(group, feature => d3.geoArea(feature))).geometry,
+            feature => this.getGeometryKey(feature)
+        );
+    }
+    
+    // Use the finest level of detail whose zoom scale has been reached. The
+    // country features keep their identity and only their geometry changes;
+    // regions stay at the base level.
+    updateLevelOfDetail() {
+        if (!this.countries) return;
+        const levels = this.getDetailLevels();
+        const level = d3.max(levels, (l, i) => this.baseTransform.k >= l.minZoom ? i : 0);
+        if (level === this.detailLevel) return;
+        this.detailLevel = level;
+        
+        // A level that failed to load keeps the coarser geometry and is tried
+        // again the next time its zoom scale is reached
+        if (!this.geometryLevels[level]) {
+            this.geometryLevels[level] = this.loadGeometry(levels[level]).then(world => {
+                const geometries = this.getGeometriesByKey(topojson.feature(world, world.objects.countries).features);
+                // Countries missing from the level keep their base geometry
+                const missing = this.countries.features.filter(feature => !geometries.has(this.getGeometryKey(feature)));
+                if (missing.length) {
+                    console.warn(`No detailed geometry for: ${missing.map(feature => this.getCountryName(feature)).join(', ')}`);
+                }
+                this.levelGeometries[level] = geometries;
+            }).catch(error => {
+                this.geometryLevels[level] = null;
+                throw error;
+            });
+        }
+        this.geometryLevels[level].then(() => {
+            // The zoom may have moved on while the level loaded, and a
+            // rotating globe picks the level up when it stops
+            if (this.detailLevel !== level || this.rotating) return;
+            this.applyLevelOfDetail();
+            this.renderPaths();
+        }).catch(error => console.warn("Could not load detailed map geometry:", error));
+    }
+    
+    // Give each country its geometry at the current level of detail, or at
+    // the base level while the globe rotates
+    applyLevelOfDetail() {
+        const base = this.levelGeometries[0];
+        const geometries = (!this.rotating && this.levelGeometries[this.detailLevel]) || base;
+        this.countries.features.forEach(feature => {
+            const key = this.getGeometryKey(feature);
+            feature.geometry = geometries.get(key) || base.get(key);
+        });
+    }
+    
+    drawCountries() {
+        // Filter out Antarctica
+        const filteredCountries = this.countries.features.filter(d => {
+            const countryName = this.getCountryName(d);
+            return countryName !== "Antarctica";
+        });
+        this.g.selectAll(".country")
+            .data(filteredCountries)
+            .enter().append("path")
+            .attr("class", d => {
+                const countryName = this.getCountryName(d);
+                const data = this.getCybersecurityData(countryName);
+                let classes = "country";
+                if (data) {
+                    classes += ` compliance-${data.complianceStatus}`;
+                    console.log(`Country with data: ${countryName} - Status: ${data.complianceStatus}`);
+                } else {
+                    classes += " compliance-unknown";
+                }
+                return classes;
+            })
+            .attr("d", this.isCanvas() ? null : this.path)
+            .attr("tabindex", 0)
+            .attr("role", "button")
+            .attr("aria-label", d => this.getCountryAriaLabel(d))
+            .style("fill", d => {
+                const countryName = this.getCountryName(d);
+                return this.getCountryColor(countryName);
+            })
+            .on("mouseover focus", (event, d) => this.onCountryHover(event, d))
+            .on("mouseout blur", () => this.onCountryHoverOut())
+            .on("click", (event, d) => this.onCountryClick(event, d))
+            .on("keydown", (event, d) => this.onCountryKeydown(event, d));
+    }
+    
+
+    
+
+    
+    getCountryName(d) {
+        // Try different property names that might contain the country name
+        return d.properties.NAME || 
+               d.properties.NAME_EN || 
+               d.properties.NAME_LONG || 
+               d.properties.ADMIN ||
+               d.properties.sovereignt ||
+               d.properties.name ||
+               "Unknown";
+    }
+
+
+    // Get cybersecurity data for a country, as of the timeline date if one is set
+    getCybersecurityData(countryName) {
+        const record = this.findCybersecurityRecord(countryName);
+        if (record && this.timelineDate) {
+            return this.getRecordAsOf(record, this.timelineDate);
+        }
+        return record;
+    }
+    
+    // Get the current cybersecurity record for a country by name or ISO code
+    findCybersecurityRecord(countryName) {
+        // Direct match
+        if (this.cybersecurityData[countryName]) {
+            return this.cybersecurityData[countryName];
+        }
+        
+        // Match by ISO code, preferring the code of the map feature with this name
+        const feature = this.findCountryFeature(countryName);
+        const isoCode = (feature && feature.properties.isoCode) || this.resolveCountryCode(countryName);
+        if (isoCode && this.cybersecurityDataByCode[isoCode]) {
+            return this.cybersecurityDataByCode[isoCode];
+        }
+        
+        return null;
+    }
+    
+    // Load the ISO 3166 code table and alias dictionary used to match data
+    // rows to map features. Aliases in config.json extend the dictionary.
+    async loadCountryCodes() {
+        this.countryCodeIndex = new Map();
+        this.countryNameIndex = new Map();
+        
+        try {
+            const response = await fetch(this.resolveUrl('./country-codes.json'));
+            const table = await response.json();
+            
+            table.countries.forEach(entry => {
+                [entry.alpha2, entry.alpha3, entry.numeric].forEach(code => {
+                    if (code) this.countryCodeIndex.set(code, entry);
+                });
+                this.countryNameIndex.set(this.normalizeCountryKey(entry.name), entry);
+            });
+            
+            const aliases = { ...(table.aliases || {}), ...(this.config.countryAliases || {}) };
+            Object.entries(aliases).forEach(([alias, code]) => {
+                const entry = this.countryCodeIndex.get(String(code).toUpperCase());
+                if (entry) {
+                    this.countryNameIndex.set(this.normalizeCountryKey(alias), entry);
+                } else {
+                    console.warn(`Country alias "${alias}" points to unknown code "${code}"`);
+                }
+            });
+        } catch (error) {
+            console.warn('Could not load country codes, matching by name only:', error);
+        }
+    }
+    
+    // Case, accent and punctuation insensitive key for name lookups
+    normalizeCountryKey(name) {
+        return String(name)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+    
+    // Resolve a country name, alias or ISO alpha-2/alpha-3/numeric code to
+    // its alpha-3 code. Returns null when nothing matches.
+    resolveCountryCode(value) {
+        if (value === undefined || value === null || !this.countryCodeIndex) return null;
+        const text = String(value).trim();
+        if (!text) return null;
+        
+        let entry = null;
+        if (/^\d{1,3}$/.test(text)) {
+            entry = this.countryCodeIndex.get(text.padStart(3, '0'));
+        } else if (/^[A-Za-z]{2,3}$/.test(text) && text === text.toUpperCase()) {
+            entry = this.countryCodeIndex.get(text);
+        }
+        if (!entry) {
+            entry = this.countryNameIndex.get(this.normalizeCountryKey(text));
+        }
+        return entry ? entry.alpha3 : null;
+    }
+    
+    // Tag every map feature with its ISO alpha-3 code. The topology's feature
+    // id is the ISO numeric code; features without one fall back to their name.
+    assignCountryCodes() {
+        this.featuresByCode = new Map();
+        this.featuresByName = new Map();
+        this.countries.features.forEach(d => {
+            d.properties.isoCode = this.resolveCountryCode(d.id) || this.resolveCountryCode(this.getCountryName(d));
+            if (d.properties.isoCode) {
+                this.featuresByCode.set(d.properties.isoCode, d);
+            }
+            this.featuresByName.set(this.getCountryName(d), d);
+        });
+    }
+    
+    // Find the map feature for a country name or ISO code
+    findCountryFeature(value) {
+        if (!this.featuresByName || value === undefined || value === null) return null;
+        return this.featuresByName.get(value) ||
+               this.featuresByCode.get(this.resolveCountryCode(value)) ||
+               null;
+    }
+    
+    // The state of a record on a given date: the latest audit on or before it,
+    // or null if the country had not been audited yet
+    getRecordAsOf(record, date) {
+        if (!record.lastAuditDate || record.lastAuditDate <= date) {
+            return record;
+        }
+        const history = record.history || [];
+        const entry = history.filter(e => e.date <= date).pop();
+        if (!entry) {
+            return null;
+        }
+        const { date: auditDate, ...fields } = entry;
+        return { ...record, ...fields, lastAuditDate: auditDate };
+    }
+    
+    // Get the color for a country in the active color mode
+    getCountryColor(countryName) {
+        const data = this.getCybersecurityData(countryName);
+        const mode = this.colorModes && this.colorModes[this.colorMode];
+        const value = data && mode ? mode.value(data) : null;
+        if (value === null || value === undefined || value === '') {
+            return this.complianceCategories.unknown?.color || "#e0e0e0";
+        }
+        return mode.color(value);
+    }
+    
+    // Build the color modes offered by the "color by" selector. Scales that
+    // depend on the data (units) are rebuilt whenever data is loaded.
+    buildColorModes() {
+        const options = this.config.choropleth || {};
+        const unknownColor = this.complianceCategories.unknown.color;
+        const records = Object.values(this.cybersecurityData);
+        const toNumber = (value) => (value === null || value === undefined || value === '' || isNaN(value)) ? null : +value;
+        
+        // Compliance score: sequential red-to-green scale unless the palette overrides it
+        const palette = this.getPalettes()[this.palette] || {};
+        const scoreScale = d3.scaleSequential(d3[palette.scoreInterpolator] || d3.interpolateRdYlGn)
+            .domain(options.scoreDomain || [0, 100])
+            .clamp(true);
+        
+        // Units: log scale by default, or quantiles of the loaded unit counts
+        const units = records.map(r => toNumber(r.unitsInCountry)).filter(v => v !== null);
+        let unitsScale;
+        let unitsLegend;
+        if (options.unitsScale === 'quantile') {
+            unitsScale = d3.scaleQuantile()
+                .domain(units.length ? units : [0])
+                .range(d3.schemeBlues[5]);
+            unitsLegend = () => {
+                const bounds = [d3.min(units) || 0, ...unitsScale.quantiles(), d3.max(units) || 0];
+                return {
+                    type: 'swatches',
+                    items: unitsScale.range().map((color, i) => ({
+                        color,
+                        label: `${Math.round(bounds[i])}–${Math.round(bounds[i + 1])} units`
+                    }))
+                };
+            };
+        } else {
+            const maxUnits = Math.max(2, d3.max(units) || 2);
+            unitsScale = d3.scaleSequentialLog(d3.interpolateBlues)
+                .domain([1, maxUnits])
+                .clamp(true);
+            unitsLegend = () => ({
+                type: 'gradient',
+                colors: d3.range(0, 1.01, 0.25).map(t => unitsScale(Math.pow(maxUnits, t))),
+                ticks: ['1', String(Math.round(Math.sqrt(maxUnits))), String(maxUnits)]
+            });
+        }
+        
+        this.colorModes = {
+            status: {
+                label: 'Compliance Status',
+                value: d => d.complianceStatus,
+                color: v => (this.complianceCategories[v] || this.complianceCategories.unknown).color,
+                legend: () => ({
+                    type: 'swatches',
+                    items: Object.entries(this.complianceCategories)
+                        .filter(([key]) => key !== 'unknown')
+                        .map(([, category]) => ({ color: category.color, label: category.label }))
+                })
+            },
+            score: {
+                label: 'Compliance Score',
+                value: d => toNumber(d.complianceScore),
+                color: v => scoreScale(v),
+                legend: () => {
+                    const [min, max] = scoreScale.domain();
+                    return {
+                        type: 'gradient',
+                        colors: d3.range(0, 1.01, 0.25).map(t => scoreScale(min + t * (max - min))),
+                        ticks: [`${min}%`, `${Math.round((min + max) / 2)}%`, `${max}%`]
+                    };
+                }
+            },
+            units: {
+                label: 'Units in Country',
+                value: d => toNumber(d.unitsInCountry),
+                color: v => unitsScale(Math.max(1, v)),
+                legend: unitsLegend
+            },
+            risk: {
+                label: 'Risk Level',
+                value: d => d.riskLevel,
+                color: v => (this.riskLevels[v] || { color: unknownColor }).color,
+                legend: () => ({
+                    type: 'swatches',
+                    items: Object.values(this.riskLevels).map(level => ({ color: level.color, label: level.label }))
+                })
+            }
+        };
+        
+        if (!this.colorModes[this.colorMode]) {
+            this.colorMode = this.colorModes[options.defaultMode] ? options.defaultMode : 'status';
+        }
+    }
+    
+    // Switch the map coloring and regenerate the legend
+    setColorMode(mode) {
+        if (!this.colorModes[mode]) return;
+        this.colorMode = mode;
+        this.root.getElementById("color-mode").value = mode;
+        this.updateCountryStyles();
+        this.renderLegend();
+        this.updateUrlState();
+    }
+    
+    // Generate the legend from the active color mode's scale
+    renderLegend() {
+        // Regions are always colored by their unit-weighted score
+        const mode = this.regionGrouping ? this.colorModes.score : this.colorModes[this.colorMode];
+        const legend = mode.legend();
+        const container = this.selectElement("#legend-items").html("");
+        this.root.getElementById("legend-title").textContent = this.regionGrouping ? "Region Score (unit-weighted)" : mode.label;
+        
+        if (legend.type === 'gradient') {
+            const gradient = container.append("div").attr("class", "legend-gradient");
+            gradient.append("div")
+                .attr("class", "legend-gradient-bar")
+                .style("background", `linear-gradient(to right, ${legend.colors.join(", ")})`);
+            gradient.append("div")
+                .attr("class", "legend-gradient-ticks")
+                .selectAll("span")
+                .data(legend.ticks)
+                .join("span")
+                .text(d => d);
+        } else {
+            legend.items.forEach(item => this.appendLegendItem(container, item.color, item.label));
+        }
+        
+        this.appendLegendItem(container, this.complianceCategories.unknown.color, "No data");
+        
+        if (this.sites.length > 0) {
+            this.appendLegendItem(container, "transparent", "Unit site (number = cluster)").select(".legend-color").classed("legend-site", true);
+        }
+        
+        if ((this.config.audit || {}).highlightOnMap !== false && !this.regionGrouping) {
+            this.appendLegendItem(container, "transparent", "Audit overdue").select(".legend-color").classed("legend-audit-overdue", true);
+            this.appendLegendItem(container, "transparent", "Audit due soon").select(".legend-color").classed("legend-audit-due-soon", true);
+        }
+    }
+    
+    appendLegendItem(container, color, label) {
+        const item = container.append("div").attr("class", "legend-item");
+        item.append("div")
+            .attr("class", "legend-color")
+            .style("background-color", color)
+            .style("border-color", color);
+        item.append("span").text(label);
+        return item;
+    }
+    
+    // Days between the last audit and today (or the timeline date)
+    getDaysSinceAudit(data) {
+        if (!data || !data.lastAuditDate) return null;
+        const parseDate = d3.timeParse("%Y-%m-%d");
+        const auditDate = parseDate(data.lastAuditDate);
+        const now = this.timelineDate ? parseDate(this.timelineDate) : d3.timeDay.floor(new Date());
+        return auditDate ? d3.timeDay.count(auditDate, now) : null;
+    }
+    
+    getDefaultFilters() {
+        return {
+            status: [],
+            riskLevel: [],
+            certification: '',
+            certificationMode: 'missing',
+            scoreMin: null,
+            scoreMax: null,
+            auditAgeMin: null,
+            unitsMin: null
+        };
+    }
+    
+    hasActiveFilters() {
+        return this.getFilterChips().length > 0;
+    }
+    
+    // Check a country's data against the active filters. Countries without
+    // data never match once any filter is active.
+    matchesFilters(data) {
+        const f = this.filters;
+        if (!this.hasActiveFilters()) return true;
+        if (!data) return false;
+        
+        if (f.status.length && !f.status.includes(data.complianceStatus)) return false;
+        if (f.riskLevel.length && !f.riskLevel.includes(data.riskLevel)) return false;
+        if (f.certification) {
+            const hasCertification = (data.certifications || []).includes(f.certification);
+            if (hasCertification !== (f.certificationMode === 'has')) return false;
+        }
+        
+        const score = data.complianceScore === null || data.complianceScore === undefined ? null : +data.complianceScore;
+        if (f.scoreMin !== null && (score === null || score < f.scoreMin)) return false;
+        if (f.scoreMax !== null && (score === null || score > f.scoreMax)) return false;
+        
+        if (f.auditAgeMin !== null) {
+            // A country that was never audited counts as overdue
+            const days = this.getDaysSinceAudit(data);
+            if (days !== null && days < f.auditAgeMin) return false;
+        }
+        if (f.unitsMin !== null && (+data.unitsInCountry || 0) < f.unitsMin) return false;
+        
+        return true;
+    }
+    
+    // Describe the active filters as removable chips
+    getFilterChips() {
+        const f = this.filters;
+        const chips = [];
+        if (f.status.length) {
+            chips.push({ keys: ['status'], label: `Status: ${f.status.map(s => (this.complianceCategories[s] || { label: s }).label).join(', ')}` });
+        }
+        if (f.riskLevel.length) {
+            chips.push({ keys: ['riskLevel'], label: `Risk: ${f.riskLevel.map(r => (this.riskLevels[r] || { label: r }).label).join(', ')}` });
+        }
+        if (f.certification) {
+            chips.push({ keys: ['certification', 'certificationMode'], label: `${f.certificationMode === 'has' ? 'Has' : 'Missing'} ${f.certification}` });
+        }
+        if (f.scoreMin !== null || f.scoreMax !== null) {
+            chips.push({ keys: ['scoreMin', 'scoreMax'], label: `Score ${f.scoreMin ?? 0}–${f.scoreMax ?? 100}%` });
+        }
+        if (f.auditAgeMin !== null) {
+            chips.push({ keys: ['auditAgeMin'], label: `Audit older than ${f.auditAgeMin} days` });
+        }
+        if (f.unitsMin !== null) {
+            chips.push({ keys: ['unitsMin'], label: `At least ${f.unitsMin} units` });
+        }
+        return chips;
+    }
+    
+    setFilters(filters) {
+        this.filters = { ...this.getDefaultFilters(), ...filters };
+        this.syncFilterForm();
+        this.applyFilters();
+    }
+    
+    removeFilter(keys) {
+        const defaults = this.getDefaultFilters();
+        keys.forEach(key => {
+            this.filters[key] = defaults[key];
+        });
+        this.syncFilterForm();
+        this.applyFilters();
+    }
+    
+    // Dim countries that do not match and refresh the chips and totals
+    applyFilters() {
+        if (!this.g) return;
+        const active = this.hasActiveFilters();
+        this.updateUrlState();
+        
+        this.g.selectAll(".country")
+            .classed("dimmed", d => active && !this.matchesFilters(this.getCybersecurityData(this.getCountryName(d))));
+        
+        this.renderDashboard();
+        this.renderCountryTable();
+        this.renderCompareTray();
+        this.updateSiteMarkers(true);
+        this.updateCountryLabels(true);
+        if (this.regionGrouping) {
+            this.renderRegions();
+        }
+        
+        const summary = this.root.getElementById("filter-summary");
+        if (!summary) return;
+        if (!active) {
+            summary.classList.add("hidden");
+            return;
+        }
+        
+        this.selectElement("#filter-chips")
+            .selectAll(".filter-chip")
+            .data(this.getFilterChips(), d => d.label)
+            .join(enter => {
+                const chip = enter.append("span").attr("class", "filter-chip");
+                chip.append("span").attr("class", "filter-chip-label");
+                chip.append("button")
+                    .attr("class", "filter-chip-remove")
+                    .attr("title", "Remove filter")
+                    .html("&times;");
+                return chip;
+            })
+            .call(chip => chip.select(".filter-chip-label").text(d => d.label))
+            .call(chip => chip.select(".filter-chip-remove").on("click", (event, d) => this.removeFilter(d.keys)));
+        
+        const matching = Object.keys(this.cybersecurityData)
+            .map(name => this.getCybersecurityData(name))
+            .filter(data => this.matchesFilters(data));
+        const units = d3.sum(matching, data => +data.unitsInCountry || 0);
+        this.root.getElementById("filter-count").textContent =
+            `${matching.length} ${matching.length === 1 ? 'country' : 'countries'} · ${units} units`;
+        summary.classList.remove("hidden");
+    }
+    
+    // Build the filter panel controls from the loaded categories and data
+    renderFilterPanel() {
+        const certifications = Array.from(new Set(
+            Object.values(this.cybersecurityData).flatMap(data => data.certifications || [])
+        )).sort();
+        
+        const renderCheckboxes = (containerId, name, options) => {
+            d3.select(`#${containerId}`)
+                .selectAll("label")
+                .data(options, d => d.value)
+                .join(enter => {
+                    const label = enter.append("label").attr("class", "filter-option");
+                    label.append("input")
+                        .attr("type", "checkbox")
+                        .attr("name", name)
+                        .attr("value", d => d.value);
+                    label.append("span").text(d => d.label);
+                    return label;
+                });
+        };
+        renderCheckboxes("filter-status", "status", Object.entries(this.complianceCategories)
+            .map(([value, category]) => ({ value, label: category.label })));
+        renderCheckboxes("filter-risk", "riskLevel", Object.entries(this.riskLevels)
+            .map(([value, level]) => ({ value, label: level.label })));
+        
+        this.selectElement("#filter-certification")
+            .selectAll("option")
+            .data(['', ...certifications])
+            .join("option")
+            .attr("value", d => d)
+            .text(d => d || "Any certification");
+        
+        this.syncFilterForm();
+    }
+    
+    // Reflect the filter state in the panel controls
+    syncFilterForm() {
+        const form = this.root.getElementById("filter-form");
+        if (!form) return;
+        const f = this.filters;
+        
+        form.querySelectorAll('input[name="status"]').forEach(input => {
+            input.checked = f.status.includes(input.value);
+        });
+        form.querySelectorAll('input[name="riskLevel"]').forEach(input => {
+            input.checked = f.riskLevel.includes(input.value);
+        });
+        form.elements.certification.value = f.certification;
+        form.elements.certificationMode.value = f.certificationMode;
+        form.elements.scoreMin.value = f.scoreMin ?? '';
+        form.elements.scoreMax.value = f.scoreMax ?? '';
+        form.elements.auditAgeMin.value = f.auditAgeMin ?? '';
+        form.elements.unitsMin.value = f.unitsMin ?? '';
+    }
+    
+    // Read the filter state from the panel controls
+    readFilterForm() {
+        const form = this.root.getElementById("filter-form");
+        const checked = (name) => Array.from(form.querySelectorAll(`input[name="${name}"]:checked`)).map(input => input.value);
+        const number = (name) => form.elements[name].value === '' ? null : +form.elements[name].value;
+        
+        this.filters = {
+            status: checked("status"),
+            riskLevel: checked("riskLevel"),
+            certification: form.elements.certification.value,
+            certificationMode: form.elements.certificationMode.value,
+            scoreMin: number("scoreMin"),
+            scoreMax: number("scoreMax"),
+            auditAgeMin: number("auditAgeMin"),
+            unitsMin: number("unitsMin")
+        };
+        this.applyFilters();
+    }
+    
+    // Evaluate a country's last audit against the audit interval of its
+    // standard and each certification. The country takes the worst state.
+    getAuditStatus(data) {
+        if (!data) return null;
+        const audit = this.config.audit || {};
+        const defaultInterval = audit.intervalDays || 365;
+        const dueSoonDays = audit.dueSoonDays ?? 30;
+        const intervals = audit.standards || {};
+        const daysSince = this.getDaysSinceAudit(data);
+        
+        const standards = [data.cybersecurityStandard, ...(data.certifications || [])].filter(Boolean);
+        const items = (standards.length ? standards : [null]).map(standard => {
+            const interval = (standard && intervals[standard]) || defaultInterval;
+            const daysRemaining = daysSince === null ? null : interval - daysSince;
+            let state = 'ok';
+            if (daysSince === null) {
+                state = 'never';
+            } else if (daysRemaining < 0) {
+                state = 'overdue';
+            } else if (daysRemaining <= dueSoonDays) {
+                state = 'due-soon';
+            }
+            return { standard, interval, daysRemaining, state };
+        });
+        
+        const severity = ['ok', 'due-soon', 'overdue', 'never'];
+        const state = items.reduce((worst, item) =>
+            severity.indexOf(item.state) > severity.indexOf(worst) ? item.state : worst, 'ok');
+        return { daysSince, state, items };
+    }
+    
+    isAuditOverdue(data) {
+        const status = this.getAuditStatus(data);
+        return !!status && (status.state === 'overdue' || status.state === 'never');
+    }
+    
+    // Hatch overdue countries and outline those due soon
+    updateAuditMarkers() {
+        const audit = this.config.audit || {};
+        if (!this.g || audit.highlightOnMap === false) return;
+        
+        if (this.svg.select("#audit-overdue-hatch").empty()) {
+            const pattern = this.svg.append("defs")
+                .append("pattern")
+                .attr("id", "audit-overdue-hatch")
+                .attr("patternUnits", "userSpaceOnUse")
+                .attr("width", 6)
+                .attr("height", 6)
+                .attr("patternTransform", "rotate(45)");
+            pattern.append("line")
+                .attr("x1", 0)
+                .attr("y1", 0)
+                .attr("x2", 0)
+                .attr("y2", 6)
+                .attr("class", "audit-hatch-line");
+        }
+        
+        if (!this.auditLayer) {
+            this.auditLayer = this.g.append("g").attr("class", "audit-layer");
+        }
+        this.auditLayer.raise();
+        
+        const marked = this.countries.features
+            .map(d => ({ feature: d, status: this.getAuditStatus(this.getCybersecurityData(this.getCountryName(d))) }))
+            .filter(m => m.status && m.status.state !== 'ok');
+        
+        this.auditLayer.selectAll(".audit-marker")
+            .data(marked, m => this.getCountryName(m.feature))
+            .join("path")
+            .attr("class", m => `audit-marker audit-${m.status.state === 'never' ? 'overdue' : m.status.state}`)
+            .attr("d", m => this.path(m.feature));
+    }
+    
+    // Group sites whose projected positions lie within `radius` map units of
+    // a cluster's centre. The radius shrinks as the map zooms in, so clusters
+    // break apart into individual sites.
+    clusterSites(sites, radius) {
+        const clusters = [];
+        sites.forEach(site => {
+            const point = this.projection([site.longitude, site.latitude]);
+            if (!point || isNaN(point[0]) || !this.isPointVisible([site.longitude, site.latitude])) return;
+            
+            const cluster = clusters.find(c => Math.hypot(c.x - point[0], c.y - point[1]) <= radius);
+            if (cluster) {
+                cluster.sites.push(site);
+                cluster.points.push(point);
+                cluster.x = d3.mean(cluster.points, p => p[0]);
+                cluster.y = d3.mean(cluster.points, p => p[1]);
+            } else {
+                clusters.push({ x: point[0], y: point[1], sites: [site], points: [point] });
+            }
+        });
+        clusters.forEach(cluster => {
+            cluster.key = cluster.sites.map(site => site.name).join('|');
+            cluster.units = d3.sum(cluster.sites, site => site.units);
+        });
+        return clusters;
+    }
+    
+    // Color a site by its status, or a cluster by its most common status
+    getSiteColor(cluster) {
+        const counts = d3.rollups(cluster.sites, v => v.length, site => site.complianceStatus);
+        const status = d3.greatest(counts, ([, count]) => count)[0];
+        return (this.complianceCategories[status] || this.complianceCategories.unknown).color;
+    }
+    
+    // Draw the site marker layer. Markers keep a constant screen size and are
+    // re-clustered only when the zoom scale changes (or when forced).
+    updateSiteMarkers(force = false) {
+        if (!this.g || this.sites.length === 0) return;
+        const k = this.baseTransform.k;
+        if (!force && this.siteClusterScale === k) return;
+        this.siteClusterScale = k;
+        
+        if (!this.siteLayer) {
+            this.siteLayer = this.g.append("g").attr("class", "site-layer");
+        }
+        this.siteLayer.raise().classed("hidden", !this.showSites);
+        
+        const options = this.config.sites || {};
+        const radius = options.markerRadius || 5;
+        const clusters = this.clusterSites(this.sites, (options.clusterRadius || 30) / k);
+        const filtersActive = this.hasActiveFilters();
+        
+        const markers = this.siteLayer.selectAll(".site-marker")
+            .data(clusters, c => c.key)
+            .join(enter => {
+                const marker = enter.append("g")
+                    .attr("class", "site-marker")
+                    .attr("tabindex", 0)
+                    .attr("role", "button");
+                marker.append("circle");
+                marker.append("text").attr("class", "site-count").attr("dy", "0.35em");
+                return marker;
+            })
+            .attr("transform", c => `translate(${c.x},${c.y}) scale(${1 / k})`)
+            .attr("aria-label", c => c.sites.length > 1
+                ? `${c.sites.length} sites, ${c.units} units`
+                : `${c.sites[0].name}: ${(this.complianceCategories[c.sites[0].complianceStatus] || this.complianceCategories.unknown).label}`)
+            .classed("site-cluster", c => c.sites.length > 1)
+            .classed("dimmed", c => filtersActive && c.sites.every(site => !this.matchesFilters(this.getCybersecurityData(site.isoCode || site.country))))
+            .on("mouseover focus", (event, c) => this.onSiteHover(event, c))
+            .on("mouseout blur", () => this.countryLabel.classed("visible", false))
+            .on("click", (event, c) => this.onSiteClick(event, c))
+            .on("keydown", (event, c) => {
+                if (event.key === "Enter" || event.key === " ") {
+                    event.preventDefault();
+                    this.onSiteClick(event, c);
+                }
+            });
+        
+        markers.select("circle")
+            .attr("r", c => c.sites.length > 1 ? radius + 3 * Math.sqrt(c.sites.length) : radius)
+            .style("fill", c => this.getSiteColor(c));
+        markers.select("text")
+            .text(c => c.sites.length > 1 ? c.sites.length : '');
+    }
+    
+    // Keep overlay layers above country paths raised on hover
+    raiseOverlays() {
+        if (this.labelLayer) {
+            this.labelLayer.raise();
+        }
+        if (this.siteLayer) {
+            this.siteLayer.raise();
+        }
+    }
+    
+    onSiteHover(event, cluster) {
+        let content;
+        if (cluster.sites.length > 1) {
+            content = `<strong>${cluster.sites.length} sites</strong><br>${cluster.units} units`;
+            d3.rollups(cluster.sites, v => v.length, site => site.complianceStatus).forEach(([status, count]) => {
+                const category = this.complianceCategories[status] || this.complianceCategories.unknown;
+                content += `<br><span style="color: ${category.color};">● ${count} ${this.escapeHtml(category.label)}</span>`;
+            });
+            content += '<br><em>Click to zoom in</em>';
+        } else {
+            const site = cluster.sites[0];
+            const category = this.complianceCategories[site.complianceStatus] || this.complianceCategories.unknown;
+            content = `<strong>${this.escapeHtml(site.name)}</strong>`;
+            content += `<br><span style="color: ${category.color};">● ${this.escapeHtml(category.label)}</span>`;
+            content += `<br>${this.escapeHtml(site.unitModel || 'Unknown model')} · ${site.units} units`;
+        }
+        this.showHoverLabel(event, content);
+    }
+    
+    // Clusters zoom in to their sites; single sites open the site panel
+    onSiteClick(event, cluster) {
+        event.stopPropagation();
+        if (cluster.sites.length > 1) {
+            const [x0, x1] = d3.extent(cluster.points, p => p[0]);
+            const [y0, y1] = d3.extent(cluster.points, p => p[1]);
+            this.zoomToBounds([[x0, y0], [x1, y1]]);
+        } else {
+            this.showSiteInfo(cluster.sites[0]);
+        }
+    }
+    
+    showSiteInfo(site) {
+        if (this.selectedCountry) {
+            this.deselectCountry();
+        }
+        const category = this.complianceCategories[site.complianceStatus] || this.complianceCategories.unknown;
+        this.root.getElementById("site-name").textContent = site.name;
+        this.root.getElementById("site-country").textContent = site.country || "Unknown";
+        this.root.getElementById("site-model").textContent = site.unitModel || "Not specified";
+        this.root.getElementById("site-units").textContent = `${site.units} units`;
+        const status = this.root.getElementById("site-status");
+        status.textContent = category.label;
+        status.style.color = category.color;
+        this.root.getElementById("site-audit").textContent = site.lastAuditDate || "Never";
+        this.root.getElementById("site-location").textContent = `${site.latitude.toFixed(4)}, ${site.longitude.toFixed(4)}`;
+        
+        this.selectedSite = site;
+        this.root.getElementById("site-panel").classList.remove("hidden");
+        this.root.getElementById("site-name").focus({ preventScroll: true });
+    }
+    
+    hideSiteInfo() {
+        this.selectedSite = null;
+        this.root.getElementById("site-panel").classList.add("hidden");
+    }
+    
+    toggleSites(visible) {
+        this.showSites = visible;
+        if (this.siteLayer) {
+            this.siteLayer.classed("hidden", !visible);
+        }
+        if (!visible) {
+            this.hideSiteInfo();
+        }
+    }
+    
+    toggleLabels(visible) {
+        this.showLabels = visible;
+        this.updateCountryLabels(true);
+    }
+    
+    // Draw country name labels (with the score if labels.showScore is set)
+    // at a constant screen size. Only labels that fit inside their country
+    // at the current scale are shown, and a label is dropped if it would
+    // overlap one placed before it: the selected country goes first, then
+    // countries by units and by size. Re-placed only when the zoom scale
+    // changes (or when forced).
+    updateCountryLabels(force = false) {
+        if (!this.g || !this.countries) return;
+        const k = this.baseTransform.k;
+        if (!force && this.labelScale === k) return;
+        this.labelScale = k;
+        
+        if (!this.labelLayer) {
+            this.labelLayer = this.g.append("g").attr("class", "label-layer");
+            this.raiseOverlays();
+        }
+        this.labelLayer.classed("hidden", !this.showLabels || this.rotating);
+        if (!this.showLabels || this.rotating) return;
+        
+        const options = this.config.labels || {};
+        const fontSize = options.fontSize || 11;
+        const lineHeight = fontSize * 1.2;
+        const padding = 2;
+        const scoreField = { field: "complianceScore", ...this.getFieldSchema().definitions.complianceScore };
+        const filtersActive = this.hasActiveFilters();
+        
+        const candidates = this.g.selectAll(".country").data()
+            .map(feature => {
+                const { anchor, area } = this.getLabelAnchor(feature);
+                const point = this.isPointVisible(anchor) ? this.projection(anchor) : null;
+                if (!point || isNaN(point[0])) return null;
+                
+                const name = this.getCountryName(feature);
+                const data = this.getCybersecurityData(name);
+                const lines = [name];
+                if (options.showScore && data && !this.formatFieldValue(scoreField, data).empty) {
+                    lines.push(this.formatFieldValue(scoreField, data).text);
+                }
+                const bounds = this.getLabelBounds(feature);
+                return {
+                    feature,
+                    data,
+                    lines,
+                    x: point[0],
+                    y: point[1],
+                    width: d3.max(lines, line => this.measureLabel(line, fontSize)),
+                    height: lines.length * lineHeight,
+                    fitWidth: (bounds[1][0] - bounds[0][0]) * k,
+                    fitHeight: (bounds[1][1] - bounds[0][1]) * k,
+                    units: data ? data.unitsInCountry || 0 : 0,
+                    area
+                };
+            })
+            .filter(label => label && label.width <= label.fitWidth && label.height <= label.fitHeight);
+        
+        candidates.sort((a, b) => (b.feature === this.selectedCountry) - (a.feature === this.selectedCountry) ||
+            b.units - a.units || b.area - a.area);
+        
+        // Overlaps are tested in screen pixels relative to the view origin
+        const placed = [];
+        candidates.forEach(label => {
+            const box = {
+                x0: label.x * k - label.width / 2 - padding,
+                x1: label.x * k + label.width / 2 + padding,
+                y0: label.y * k - label.height / 2 - padding,
+                y1: label.y * k + label.height / 2 + padding
+            };
+            if (placed.some(other => box.x0 < other.x1 && box.x1 > other.x0 && box.y0 < other.y1 && box.y1 > other.y0)) return;
+            label.box = box;
+            placed.push(box);
+        });
+        
+        this.labelLayer.selectAll(".country-label-text")
+            .data(candidates.filter(label => label.box), label => this.getCountryName(label.feature))
+            .join("text")
+            .attr("class", "country-label-text")
+            .attr("text-anchor", "middle")
+            .attr("font-size", fontSize)
+            .attr("transform", label => `translate(${label.x},${label.y}) scale(${1 / k})`)
+            .classed("selected", label => label.feature === this.selectedCountry)
+            .classed("dimmed", label => filtersActive && !this.matchesFilters(label.data))
+            .selectAll("tspan")
+            .data(label => label.lines.map((line, i) => ({ line, i, count: label.lines.length })))
+            .join("tspan")
+            .attr("x", 0)
+            // Center the block of lines on the anchor
+            .attr("y", d => (d.i - (d.count - 1) / 2) * lineHeight)
+            .attr("dy", "0.35em")
+            .attr("class", d => d.i > 0 ? "label-score" : null)
+            .text(d => d.line);
+    }
+    
+    // Where a country's label goes: the pole of inaccessibility (or, with
+    // labels.placement "centroid", the centroid) of its largest polygon, so
+    // overseas territories do not pull the label off the mainland. Computed
+    // once, from the geometry in use when the label is first placed, along
+    // with the country's area for ordering and the polygon itself, which a
+    // label has to fit.
+    getLabelAnchor(feature) {
+        if (!this.labelAnchors.has(feature)) {
+            const geometry = feature.geometry;
+            const polygons = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+            const largest = d3.greatest(polygons, polygon => d3.geoArea({ type: "Polygon", coordinates: polygon }));
+            const anchor = (this.config.labels || {}).placement === "centroid"
+                ? d3.geoCentroid({ type: "Polygon", coordinates: largest })
+                : this.getPoleOfInaccessibility(largest);
+            this.labelAnchors.set(feature, {
+                anchor,
+                area: d3.geoArea(feature),
+                polygon: { type: "Polygon", coordinates: largest }
+            });
+        }
+        return this.labelAnchors.get(feature);
+    }
+    
+    // Projected bounds of the polygon holding a country's label, so France's
+    // label is tested against mainland France rather than a box reaching to
+    // French Guiana. Cleared whenever the paths are re-projected.
+    getLabelBounds(feature) {
+        if (!this.labelBounds) this.labelBounds = new Map();
+        if (!this.labelBounds.has(feature)) {
+            this.labelBounds.set(feature, this.path.bounds(this.getLabelAnchor(feature).polygon));
+        }
+        return this.labelBounds.get(feature);
+    }
+    
+    // The interior point farthest from a polygon's outline, as in polylabel:
+    // cells of a grid are refined best-first until none could beat the best
+    // point found by more than 4% of the polygon's size. Longitudes are
+    // scaled by the cosine of the latitude so distances are roughly even.
+    getPoleOfInaccessibility(polygon) {
+        const scale = Math.cos(d3.mean(polygon[0], p => p[1]) * Math.PI / 180);
+        const rings = polygon.map(ring => ring.map(([x, y]) => [x * scale, y]));
+        const [x0, x1] = d3.extent(rings[0], p => p[0]);
+        const [y0, y1] = d3.extent(rings[0], p => p[1]);
+        const size = Math.min(x1 - x0, y1 - y0);
+        if (!(size > 0)) return [x0 / scale, y0];
+        const precision = size / 25;
+        
+        // Signed distance to the outline: positive inside, negative outside
+        const distance = (x, y) => {
+            let inside = false;
+            let min = Infinity;
+            rings.forEach(ring => {
+                for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                    const [ax, ay] = ring[i];
+                    const [bx, by] = ring[j];
+                    if ((ay > y) !== (by > y) && x < (bx - ax) * (y - ay) / (by - ay) + ax) {
+                        inside = !inside;
+                    }
+                    const dx = bx - ax;
+                    const dy = by - ay;
+                    const t = dx || dy ? Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / (dx * dx + dy * dy))) : 0;
+                    min = Math.min(min, Math.hypot(x - ax - t * dx, y - ay - t * dy));
+                }
+            });
+            return inside ? min : -min;
+        };
+        const cell = (x, y, h) => {
+            const d = distance(x, y);
+            return { x, y, h, d, max: d + h * Math.SQRT2 };
+        };
+        
+        // Cells are kept sorted by their potential, most promising last
+        const queue = [];
+        const bisect = d3.bisector(c => c.max).left;
+        const enqueue = (c) => queue.splice(bisect(queue, c.max), 0, c);
+        const h = size / 2;
+        for (let x = x0; x < x1; x += size) {
+            for (let y = y0; y < y1; y += size) {
+                enqueue(cell(x + h, y + h, h));
+            }
+        }
+        const [cx, cy] = d3.polygonCentroid(rings[0]);
+        let best = cell(cx, cy, 0);
+        
+        while (queue.length) {
+            const current = queue.pop();
+            if (current.d > best.d) {
+                best = current;
+            }
+            if (current.max - best.d <= precision) continue;
+            const half = current.h / 2;
+            enqueue(cell(current.x - half, current.y - half, half));
+            enqueue(cell(current.x + half, current.y - half, half));
+            enqueue(cell(current.x - half, current.y + half, half));
+            enqueue(cell(current.x + half, current.y + half, half));
+        }
+        return [best.x / scale, best.y];
+    }
+    
+    // Width of a label line in pixels, measured once per text and size
+    measureLabel(text, fontSize) {
+        const key = `${fontSize}|${text}`;
+        if (!this.labelWidths.has(key)) {
+            if (!this.labelContext) {
+                this.labelContext = document.createElement("canvas").getContext("2d");
+            }
+            this.labelContext.font = `600 ${fontSize}px ${getComputedStyle(this.svg.node()).fontFamily}`;
+            this.labelWidths.set(key, this.labelContext.measureText(text).width);
+        }
+        return this.labelWidths.get(key);
+    }
+    
+    // Countries with data that match the active filters, as of the timeline date
+    getMatchingEntries() {
+        return Object.keys(this.cybersecurityData)
+            .map(name => ({ name, data: this.getCybersecurityData(name) }))
+            .filter(entry => entry.data && this.matchesFilters(entry.data));
+    }
+    
+    // Fleet-wide totals for the dashboard, over the countries that match the
+    // active filters (and as of the timeline date). Region summaries pass the
+    // entries of one region.
+    computeDashboardStats(entries = this.getMatchingEntries()) {
+        const units = (data) => +data.unitsInCountry || 0;
+        const score = (data) => data.complianceScore === null || data.complianceScore === undefined || data.complianceScore === '' ? null : +data.complianceScore;
+        
+        const unitsByStatus = Object.entries(this.complianceCategories).map(([key, category]) => ({
+            key,
+            label: category.label,
+            color: category.color,
+            units: d3.sum(entries.filter(e => (e.data.complianceStatus || 'unknown') === key), e => units(e.data))
+        })).filter(row => row.units > 0 || row.key !== 'unknown');
+        
+        const scored = entries.filter(e => score(e.data) !== null && units(e.data) > 0);
+        const scoredUnits = d3.sum(scored, e => units(e.data));
+        const weightedScore = scoredUnits > 0
+            ? d3.sum(scored, e => score(e.data) * units(e.data)) / scoredUnits
+            : null;
+        
+        const overdue = entries.filter(e => this.isAuditOverdue(e.data));
+        
+        const certificationCounts = new Map();
+        entries.forEach(e => (e.data.certifications || []).forEach(cert => {
+            certificationCounts.set(cert, (certificationCounts.get(cert) || 0) + 1);
+        }));
+        const certificationCoverage = Array.from(certificationCounts, ([name, count]) => ({
+            name,
+            percent: entries.length ? Math.round(count / entries.length * 100) : 0
+        })).sort((a, b) => b.percent - a.percent || a.name.localeCompare(b.name));
+        
+        // Highest risk first, then lowest score
+        const riskOrder = Object.keys(this.riskLevels);
+        const riskRank = (data) => riskOrder.indexOf(data.riskLevel);
+        const topN = (this.config.dashboard && this.config.dashboard.topN) || 5;
+        const atRisk = entries.slice()
+            .sort((a, b) => riskRank(b.data) - riskRank(a.data) || (score(a.data) ?? 101) - (score(b.data) ?? 101))
+            .slice(0, topN);
+        
+        return {
+            countryCount: entries.length,
+            totalUnits: d3.sum(entries, e => units(e.data)),
+            unitsByStatus,
+            weightedScore,
+            overdue,
+            certificationCoverage,
+            atRisk
+        };
+    }
+    
+    // Render the collapsible fleet summary dashboard
+    renderDashboard() {
+        const dashboard = this.root.getElementById("dashboard");
+        if (!dashboard || !this.colorModes) return;
+        
+        const stats = this.computeDashboardStats();
+        const select = (selection) => selection
+            .classed("dashboard-link", true)
+            .on("click", (event, d) => this.selectCountryByName(d.name));
+        
+        this.root.getElementById("dashboard-scope").textContent = this.hasActiveFilters() ? "Filtered" : "All countries";
+        this.root.getElementById("dashboard-total-units").textContent = stats.totalUnits;
+        this.root.getElementById("dashboard-country-count").textContent = stats.countryCount;
+        this.root.getElementById("dashboard-weighted-score").textContent =
+            stats.weightedScore === null ? "N/A" : `${stats.weightedScore.toFixed(1)}%`;
+        this.root.getElementById("dashboard-overdue-count").textContent = stats.overdue.length;
+        
+        this.renderUnitsByStatus("#dashboard-units-by-status", stats);
+        
+        this.selectElement("#dashboard-overdue")
+            .selectAll("li")
+            .data(stats.overdue, d => d.name)
+            .join("li")
+            .text(d => {
+                const days = this.getDaysSinceAudit(d.data);
+                return days === null ? `${d.name} · never audited` : `${d.name} · ${days} days`;
+            })
+            .call(select);
+        
+        this.selectElement("#dashboard-certifications")
+            .selectAll("li")
+            .data(stats.certificationCoverage, d => d.name)
+            .join("li")
+            .text(d => `${d.name} · ${d.percent}%`);
+        
+        this.selectElement("#dashboard-at-risk")
+            .selectAll("li")
+            .data(stats.atRisk, d => d.name)
+            .join("li")
+            .text(d => {
+                const risk = this.riskLevels[d.data.riskLevel];
+                return `${d.name} · ${d.data.complianceScore ?? 'N/A'}%${risk ? ` · ${risk.label} risk` : ''}`;
+            })
+            .call(select);
+    }
+    
+    // Bar rows of units per compliance status
+    renderUnitsByStatus(selector, stats) {
+        this.selectElement(selector)
+            .selectAll("li")
+            .data(stats.unitsByStatus, d => d.key)
+            .join(enter => {
+                const row = enter.append("li").attr("class", "dashboard-bar-row");
+                row.append("span").attr("class", "dashboard-bar-label");
+                row.append("span").attr("class", "dashboard-bar").append("span").attr("class", "dashboard-bar-fill");
+                row.append("span").attr("class", "dashboard-bar-value");
+                return row;
+            })
+            .call(row => row.select(".dashboard-bar-label").text(d => d.label))
+            .call(row => row.select(".dashboard-bar-fill")
+                .style("width", d => `${stats.totalUnits ? d.units / stats.totalUnits * 100 : 0}%`)
+                .style("background-color", d => d.color))
+            .call(row => row.select(".dashboard-bar-value").text(d => d.units));
+    }
+    
+    // Region groupings from config.json, or continents when none are configured.
+    // A region lists whole continents and/or individual country codes.
+    getRegionGroupings() {
+        const configured = (this.config.regions || {}).groupings;
+        if (configured) return configured;
+        return {
+            continent: {
+                label: 'Continents',
+                regions: {
+                    'Africa': { continents: ['AF'] },
+                    'Asia': { continents: ['AS'] },
+                    'Europe': { continents: ['EU'] },
+                    'North America': { continents: ['NA'] },
+                    'Oceania': { continents: ['OC'] },
+                    'South America': { continents: ['SA'] }
+                }
+            }
+        };
+    }
+    
+    // Build a lookup from ISO alpha-3 code to region name for a grouping.
+    // Countries listed by code take precedence over whole continents.
+    getRegionResolver(grouping) {
+        const byCountry = new Map();
+        const byContinent = new Map();
+        Object.entries(grouping.regions || {}).forEach(([name, definition]) => {
+            (definition.continents || []).forEach(continent => byContinent.set(continent, name));
+            (definition.countries || []).forEach(code => {
+                const isoCode = this.resolveCountryCode(code);
+                if (isoCode) {
+                    byCountry.set(isoCode, name);
+                } else {
+                    console.warn(`Region "${name}" lists unknown country "${code}"`);
+                }
+            });
+        });
+        return (isoCode) => {
+            if (!isoCode) return null;
+            const entry = this.countryCodeIndex && this.countryCodeIndex.get(isoCode);
+            return byCountry.get(isoCode) || (entry && byContinent.get(entry.continent)) || null;
+        };
+    }
+    
+    // Dissolve country geometries into one shape per region
+    buildRegions(grouping) {
+        const regionOf = this.getRegionResolver(grouping);
+        const geometries = this.topology.objects.countries.geometries;
+        const members = d3.group(
+            this.countries.features.map((feature, i) => ({ feature, geometry: geometries[i], region: regionOf(feature.properties.isoCode) }))
+                .filter(member => member.region),
+            member => member.region
+        );
+        
+        return Object.keys(grouping.regions || {})
+            .filter(name => members.has(name))
+            .map(name => ({
+                name,
+                countries: members.get(name).map(member => member.feature),
+                feature: {
+                    type: 'Feature',
+                    properties: { name },
+                    geometry: topojson.merge(this.topology, members.get(name).map(member => member.geometry))
+                }
+            }));
+    }
+    
+    // Switch between the country view and a region grouping (null for countries)
+    setRegionGrouping(key) {
+        const groupings = this.getRegionGroupings();
+        this.regionGrouping = key && groupings[key] ? key : null;
+        this.regions = this.regionGrouping ? this.buildRegions(groupings[this.regionGrouping]) : [];
+        this.hideRegionInfo();
+        if (this.regionGrouping && this.selectedCountry) {
+            this.deselectCountry();
+        }
+        
+        this.g.classed("region-mode", !!this.regionGrouping);
+        this.g.selectAll(".country").attr("tabindex", this.regionGrouping ? -1 : 0);
+        this.root.getElementById("region-mode").value = this.regionGrouping || '';
+        this.root.getElementById("color-mode").disabled = !!this.regionGrouping;
+        this.renderRegions();
+        this.renderLegend();
+        this.updateUrlState();
+    }
+    
+    // Attach the matching countries and their unit-weighted statistics to each region
+    computeRegionStats() {
+        const grouping = this.getRegionGroupings()[this.regionGrouping];
+        const regionOf = this.getRegionResolver(grouping);
+        const entriesByRegion = d3.group(this.getMatchingEntries(), entry => regionOf(entry.data.isoCode));
+        this.regions.forEach(region => {
+            region.entries = entriesByRegion.get(region.name) || [];
+            region.stats = this.computeDashboardStats(region.entries);
+        });
+    }
+    
+    // Draw region shapes colored by unit-weighted score; refreshed with the filters
+    renderRegions() {
+        if (!this.g) return;
+        if (!this.regionLayer) {
+            this.regionLayer = this.g.append("g").attr("class", "region-layer");
+        }
+        this.regionLayer.raise();
+        this.raiseOverlays();
+        
+        this.computeRegionStats();
+        const scoreColor = this.colorModes ? this.colorModes.score.color : null;
+        
+        this.regionLayer.selectAll(".region")
+            .data(this.regions, region => region.name)
+            .join("path")
+            .attr("class", "region")
+            .classed("selected", region => !!this.selectedRegion && region.name === this.selectedRegion.name)
+            .attr("d", region => this.path(region.feature))
+            .attr("tabindex", 0)
+            .attr("role", "button")
+            .attr("aria-label", region => {
+                const score = region.stats.weightedScore;
+                return `${region.name}: ${region.stats.totalUnits} units${score === null ? '' : `, average score ${score.toFixed(1)}%`}`;
+            })
+            .style("fill", region => region.stats.weightedScore === null || !scoreColor
+                ? this.complianceCategories.unknown.color
+                : scoreColor(region.stats.weightedScore))
+            .on("mouseover focus", (event, region) => this.onRegionHover(event, region))
+            .on("mouseout blur", () => this.countryLabel.classed("visible", false))
+            .on("click", (event, region) => {
+                event.stopPropagation();
+                this.selectRegion(region);
+            })
+            .on("keydown", (event, region) => {
+                if (event.key === "Enter" || event.key === " ") {
+                    event.preventDefault();
+                    this.selectRegion(region);
+                }
+            });
+        
+        if (this.selectedRegion) {
+            const region = this.regions.find(r => r.name === this.selectedRegion.name);
+            if (region) {
+                this.showRegionInfo(region);
+            } else {
+                this.hideRegionInfo();
+            }
+        }
+    }
+    
+    onRegionHover(event, region) {
+        const stats = region.stats;
+        let content = `<strong>${region.name}</strong>`;
+        content += `<br>${stats.countryCount} ${stats.countryCount === 1 ? 'country' : 'countries'} · ${stats.totalUnits} units`;
+        content += `<br>Avg score (by units): ${stats.weightedScore === null ? 'N/A' : `${stats.weightedScore.toFixed(1)}%`}`;
+        if (stats.overdue.length > 0) {
+            content += `<br><span class="audit-text-overdue">${stats.overdue.length} overdue audits</span>`;
+        }
+        this.showHoverLabel(event, content);
+    }
+    
+    selectRegion(region, zoom = true) {
+        this.selectedRegion = region;
+        this.regionLayer.selectAll(".region").classed("selected", r => r.name === region.name);
+        this.showRegionInfo(region);
+        if (zoom) {
+            this.zoomToFeatures([region.feature]);
+        }
+        this.updateUrlState(true);
+        if (!this.restoringUrlState) {
+            this.root.getElementById("region-name").focus({ preventScroll: true });
+        }
+    }
+    
+    // Aggregate panel for a region; its countries can be opened individually
+    showRegionInfo(region) {
+        const stats = region.stats;
+        this.root.getElementById("region-name").textContent = region.name;
+        this.root.getElementById("region-country-count").textContent = stats.countryCount;
+        this.root.getElementById("region-units").textContent = `${stats.totalUnits} units`;
+        this.root.getElementById("region-score").textContent =
+            stats.weightedScore === null ? "N/A" : `${stats.weightedScore.toFixed(1)}%`;
+        this.root.getElementById("region-overdue").textContent = stats.overdue.length;
+        this.renderUnitsByStatus("#region-units-by-status", stats);
+        
+        this.selectElement("#region-countries")
+            .selectAll("li")
+            .data(region.entries.slice().sort((a, b) => (+b.data.unitsInCountry || 0) - (+a.data.unitsInCountry || 0) || a.name.localeCompare(b.name)), d => d.name)
+            .join("li")
+            .attr("class", "dashboard-link")
+            .text(d => `${d.name} · ${d.data.unitsInCountry ?? 0} units · ${d.data.complianceScore ?? 'N/A'}%`)
+            .on("click", (event, d) => this.selectCountryByName(d.name));
+        
+        this.root.getElementById("region-panel").classList.remove("hidden");
+    }
+    
+    deselectRegion() {
+        if (!this.selectedRegion) return;
+        this.hideRegionInfo();
+        this.updateUrlState(true);
+    }
+    
+    hideRegionInfo() {
+        this.selectedRegion = null;
+        const panel = this.root.getElementById("region-panel");
+        if (panel) panel.classList.add("hidden");
+        if (this.regionLayer) {
+            this.regionLayer.selectAll(".region").classed("selected", false);
+        }
+    }
+    
+    // Column definitions for the country table: header key, sort value and cell text
+    getTableColumns() {
+        const number = (value) => value === null || value === undefined || value === '' ? -Infinity : +value;
+        return [
+            { key: 'country', sort: r => r.name, text: r => r.name },
+            { key: 'standard', sort: r => r.data.cybersecurityStandard || '', text: r => r.data.cybersecurityStandard || '—' },
+            {
+                key: 'status',
+                sort: r => Object.keys(this.complianceCategories).indexOf(r.data.complianceStatus),
+                text: r => (this.complianceCategories[r.data.complianceStatus] || this.complianceCategories.unknown).label
+            },
+            { key: 'units', sort: r => number(r.data.unitsInCountry), text: r => r.data.unitsInCountry ?? '—' },
+            { key: 'score', sort: r => number(r.data.complianceScore), text: r => r.data.complianceScore ?? '—' },
+            { key: 'certifications', sort: r => (r.data.certifications || []).length, text: r => (r.data.certifications || []).join(', ') || '—' },
+            { key: 'lastAudit', sort: r => r.data.lastAuditDate || '', text: r => r.data.lastAuditDate || 'Never' }
+        ];
+    }
+    
+    // Render the sortable country table; skipped while the table is hidden
+    renderCountryTable() {
+        const panel = this.root.getElementById("country-table-panel");
+        if (!panel || panel.classList.contains("hidden")) return;
+        
+        const columns = this.getTableColumns();
+        const sortColumn = columns.find(c => c.key === this.tableSort.key) || columns[0];
+        const direction = this.tableSort.direction === 'desc' ? -1 : 1;
+        const rows = Object.keys(this.cybersecurityData)
+            .map(name => ({ name, data: this.getCybersecurityData(name) }))
+            .filter(row => row.data)
+            .sort((a, b) => direction * d3.ascending(sortColumn.sort(a), sortColumn.sort(b)) || d3.ascending(a.name, b.name));
+        
+        this.selectElements("#country-table th")
+            .attr("aria-sort", function () {
+                if (this.dataset.sort !== sortColumn.key) return "none";
+                return direction === 1 ? "ascending" : "descending";
+            });
+        
+        this.selectElement("#country-table tbody")
+            .selectAll("tr")
+            .data(rows, row => row.name)
+            .join("tr")
+            .attr("data-country", row => row.name)
+            .classed("dimmed", row => !this.matchesFilters(row.data))
+            .classed("no-geometry", row => !this.findCountryFeature(row.data.isoCode || row.name))
+            .on("mouseenter", (event, row) => this.highlightCountryByName(row.name, true))
+            .on("mouseleave", (event, row) => this.highlightCountryByName(row.name, false))
+            .on("click", (event, row) => this.selectCountryByName(row.name))
+            .order()
+            .selectAll("td")
+            .data(row => columns.map(column => ({ column, row })))
+            .join("td")
+            .attr("class", cell => `cell-${cell.column.key}`)
+            .text(cell => cell.column.text(cell.row));
+        
+        this.selectElements("#country-table td.cell-status")
+            .style("color", cell => (this.complianceCategories[cell.row.data.complianceStatus] || this.complianceCategories.unknown).color);
+        
+        this.syncTableSelection();
+    }
+    
+    sortCountryTable(key) {
+        if (this.tableSort.key === key) {
+            this.tableSort.direction = this.tableSort.direction === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.tableSort = { key, direction: 'asc' };
+        }
+        this.renderCountryTable();
+    }
+    
+    toggleCountryTable() {
+        const panel = this.root.getElementById("country-table-panel");
+        panel.classList.toggle("hidden");
+        this.renderCountryTable();
+    }
+    
+    // Mark the selected country's row and scroll it into view
+    syncTableSelection() {
+        const panel = this.root.getElementById("country-table-panel");
+        if (!panel || panel.classList.contains("hidden")) return;
+        
+        const record = this.selectedCountry ? this.getCybersecurityData(this.getCountryName(this.selectedCountry)) : null;
+        let selectedRow = null;
+        this.selectElements("#country-table tbody tr").classed("selected", function (row) {
+            const selected = !!record && (row.data === record || (!!row.data.isoCode && row.data.isoCode === record.isoCode));
+            if (selected) selectedRow = this;
+            return selected;
+        });
+        if (selectedRow) {
+            selectedRow.scrollIntoView({ block: "nearest", behavior: "smooth" });
+        }
+    }
+    
+    // Highlight a country path from outside the map (e.g. a table row)
+    highlightCountryByName(countryName, highlighted) {
+        const record = this.findCybersecurityRecord(countryName);
+        const feature = this.findCountryFeature((record && record.isoCode) || countryName);
+        if (!feature) return;
+        
+        const path = this.g.selectAll(".country").filter(d => d === feature);
+        const node = path.node();
+        path.classed("highlighted", highlighted);
+        if (highlighted) {
+            // Remember the path's place so it returns there when the row is left
+            this.tableHighlight = { node, next: node.nextSibling };
+            path.raise();
+            this.raiseOverlays();
+        } else if (this.tableHighlight && this.tableHighlight.node === node) {
+            const next = this.tableHighlight.next;
+            node.parentNode.insertBefore(node, next && next.parentNode === node.parentNode ? next : null);
+            this.tableHighlight = null;
+        }
+    }
+    
+    // Select a country on the map from its data name
+    selectCountryByName(countryName) {
+        const record = this.findCybersecurityRecord(countryName);
+        const feature = this.findCountryFeature((record && record.isoCode) || countryName);
+        if (feature) {
+            this.selectCountryByData(feature);
+        }
+    }
+    
+    onCountryHover(event, d) {
+        const countryName = this.getCountryName(d);
+        const data = this.getCybersecurityData(countryName);
+        
+        // Bring hovered country to front by moving it to the end of the DOM.
+        // Skipped for keyboard focus, since moving the node would drop focus.
+        const hoveredElement = d3.select(event.currentTarget);
+        if (event.type !== "focus") {
+            hoveredElement.raise();
+            this.raiseOverlays();
+        }
+        
+        // Highlight country
+        hoveredElement.classed("highlighted", true);
+        
+        // Show hover tooltip
+        let labelContent = `<strong>${countryName}</strong>`;
+        
+        if (data) {
+            if (this.config.settings.showComplianceInTooltip !== false) {
+                this.getFieldSchema().tooltip.forEach(field => {
+                    const value = this.formatFieldValue(field, data);
+                    if (value.empty) return;
+                    const text = this.escapeHtml(value.text);
+                    const label = field.label ? `${this.escapeHtml(field.label)}: ` : '';
+                    labelContent += value.color
+                        ? `<br>${label}<span style="color: ${value.color};">● ${text}</span>`
+                        : `<br>${label}${text}`;
+                });
+            }
+            
+            const audit = this.getAuditStatus(data);
+            if (audit.daysSince === null) {
+                labelContent += '<br><span class="audit-text-overdue">Never audited</span>';
+            } else {
+                const stateLabel = { 'overdue': ' (overdue)', 'due-soon': ' (due soon)' }[audit.state] || '';
+                labelContent += `<br><span class="audit-text-${audit.state}">Last audit: ${audit.daysSince} days ago${stateLabel}</span>`;
             }
         } else {
             labelContent += '<br><span style="color: #9E9E9E;">● No Data</span>';
         }
         
+        this.showHoverLabel(event, labelContent);
+        this.emit("hover", this.getCountryEventDetail(d));
+    }
+    
+    // Show the hover tooltip next to the pointer. Keyboard focus has no
+    // pointer position, so the tooltip is anchored to the element's bounds.
+    showHoverLabel(event, content) {
+        let x = event.clientX;
+        let y = event.clientY;
+        if (x === undefined && this.isCanvas()) {
+            // Countries drawn on the canvas have no box of their own
+            const rect = this.svg.node().getBoundingClientRect();
+            const [cx, cy] = this.viewTransform.apply(this.path.centroid(d3.select(event.currentTarget).datum()));
+            x = rect.left + cx;
+            y = rect.top + cy;
+        } else if (x === undefined) {
+            const rect = event.currentTarget.getBoundingClientRect();
+            x = rect.left + rect.width / 2;
+            y = rect.top + rect.height / 2;
+        }
+        
         this.countryLabel
             .classed("visible", true)
-            .html(labelContent)
-            .style("left", (event.pageX + 10) + "px")
-            .style("top", (event.pageY - 60) + "px");
+            .html(content)
+            .style("left", (x + 10) + "px")
+            .style("top", (y - 60) + "px");
+    }
+    
+    // Screen-reader description of a country path
+    getCountryAriaLabel(d) {
+        const countryName = this.getCountryName(d);
+        const data = this.getCybersecurityData(countryName);
+        if (!data) return `${countryName}: no data`;
+        const category = this.complianceCategories[data.complianceStatus] || this.complianceCategories.unknown;
+        const score = data.complianceScore !== null && data.complianceScore !== undefined ? `, score ${data.complianceScore}%` : '';
+        return `${countryName}: ${category.label}${score}`;
+    }
+    
+    // Enter/Space select (Shift adds to the comparison), arrow keys move between countries
+    onCountryKeydown(event, d) {
+        if (event.key === "Enter" || event.key === " ") {
+            event.preventDefault();
+            this.onCountryClick(event, d);
+        } else if (event.key.startsWith("Arrow")) {
+            event.preventDefault();
+            this.focusAdjacentCountry(d, event.key);
+        }
+    }
+    
+    // Move keyboard focus to the nearest country in the arrow key's direction,
+    // favouring countries that lie close to the line of travel
+    focusAdjacentCountry(from, key) {
+        const [dx, dy] = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[key];
+        const [x0, y0] = this.path.centroid(from);
+        let best = null;
+        let bestScore = Infinity;
+        this.g.selectAll(".country").each((d, i, nodes) => {
+            if (d === from) return;
+            const [x, y] = this.path.centroid(d);
+            const along = (x - x0) * dx + (y - y0) * dy;
+            if (!(along > 0)) return;
+            const across = Math.abs((x - x0) * dy - (y - y0) * dx);
+            const score = along + 2 * across;
+            if (score < bestScore) {
+                bestScore = score;
+                best = nodes[i];
+            }
+        });
+        if (best) {
+            best.focus();
+        }
+    }
+    
+    // Move focus to the info panel heading so screen readers announce the country
+    focusInfoPanel() {
+        this.root.getElementById("country-name").focus({ preventScroll: true });
+    }
+    
+    // Escape closes the topmost open panel, then clears the selection
+    handleEscape() {
+        const hidden = (id) => this.root.getElementById(id).classList.contains("hidden");
+        if (!hidden("export-dialog")) {
+            this.closeExportDialog();
+        } else if (!hidden("search-results")) {
+            this.hideSearchResults();
+            this.root.getElementById("country-search").focus();
+        } else if (!hidden("filter-panel")) {
+            this.root.getElementById("filter-panel").classList.add("hidden");
+            this.root.getElementById("toggle-filters").focus();
+        } else if (!hidden("country-table-panel") && this.root.getElementById("country-table-panel").contains(this.root.activeElement)) {
+            this.toggleCountryTable();
+            this.root.getElementById("toggle-table").focus();
+        } else if (this.editingCountry) {
+            this.closeCountryEditor();
+            this.root.getElementById("edit-country").focus();
+        } else if (this.selectedSite) {
+            this.hideSiteInfo();
+        } else if (this.selectedRegion) {
+            this.deselectRegion();
+        } else if (this.selectedCountry) {
+            this.deselectCountry();
+        }
     }
     
     onCountryHoverOut() {
@@ -364,12 +2992,19 @@ class WorldMap {
         
         // Hide hover tooltip
         this.countryLabel.classed("visible", false);
+        this.emit("hover", this.getCountryEventDetail(null));
     }
     
     onCountryClick(event, d) {
         // Stop event from bubbling to the SVG background
         event.stopPropagation();
         
+        // Shift-click adds the country to the comparison tray instead
+        if (event.shiftKey) {
+            this.toggleCompareCountry(d);
+            return;
+        }
+        
         const countryName = this.getCountryName(d);
         
         // Remove previous selection from countries
@@ -380,6 +3015,10 @@ class WorldMap {
         
         this.selectedCountry = d;
         this.showCountryInfo(countryName);
+        this.syncTableSelection();
+        this.updateCountryLabels(true);
+        this.updateUrlState(true);
+        this.focusInfoPanel();
         
         // Zoom to country if enabled
         if (this.config.settings.autoZoomOnClick) {
@@ -387,42 +3026,164 @@ class WorldMap {
         }
     }
     
-
+
+    
+    showCountryInfo(countryName) {
+        const data = this.getCybersecurityData(countryName);
+        
+        // Update info panel with cybersecurity data
+        this.root.getElementById("country-name").textContent = countryName;
+        
+        this.root.getElementById("country-no-data").classList.toggle("hidden", !!data);
+        const fields = this.getFieldSchema().infoPanel
+            .map(field => ({ field, value: this.formatFieldValue(field, data) }))
+            .filter(({ field, value }) => !(value.empty && field.hideEmpty));
+        this.selectElement("#country-fields")
+            .selectAll(".info-item")
+            .data(fields)
+            .join(enter => {
+                const item = enter.append("div").attr("class", "info-item");
+                item.append("strong");
+                item.append("span").attr("class", "info-value");
+                return item;
+            })
+            .each(({ field, value }, i, nodes) => {
+                const item = d3.select(nodes[i]);
+                item.select("strong").text(`${field.label}:`);
+                item.select(".info-value")
+                    .classed("info-empty", value.empty)
+                    .classed("field-badge", !!value.color)
+                    .style("--badge-color", value.color || null)
+                    .text(value.text);
+            });
+        
+        this.showAuditStatus(data);
+        this.updateCompareButton();
+        
+        const editButton = this.root.getElementById("edit-country");
+        editButton.classList.toggle("hidden", !this.isEditingEnabled());
+        editButton.disabled = !!this.timelineDate;
+        editButton.title = this.timelineDate ? "Move the timeline to Latest to edit" : "";
+        if (this.editingCountry !== this.selectedCountry || this.timelineDate) {
+            this.closeCountryEditor();
+        }
+        this.hideSiteInfo();
+        
+        // Show info panel
+        this.root.getElementById("info-panel").classList.remove("hidden");
+    }
+    
+    // Format a record field for display according to its definition:
+    // text (default), number, percent, date, list or badge. Returns the text
+    // and, for badges, the color of the matching category or risk level.
+    formatFieldValue(field, data) {
+        const value = data ? data[field.field] : undefined;
+        if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+            return { text: field.empty ?? "N/A", empty: true };
+        }
+        
+        let text = String(value);
+        let color = null;
+        switch (field.format) {
+            case 'number':
+                if (!isNaN(value)) text = (+value).toLocaleString();
+                break;
+            case 'percent':
+                if (!isNaN(value)) text = `${field.decimals === undefined ? +value : (+value).toFixed(field.decimals)}%`;
+                break;
+            case 'date': {
+                const date = d3.timeParse("%Y-%m-%d")(text);
+                if (date) text = d3.timeFormat(field.dateFormat || "%Y-%m-%d")(date);
+                break;
+            }
+            case 'list': {
+                const items = Array.isArray(value) ? value : text.split(field.separator || ';').map(item => item.trim()).filter(Boolean);
+                text = items.join(", ");
+                break;
+            }
+            case 'badge': {
+                // "badges" names a category set from config.json or maps values to { label, color }
+                const badges = typeof field.badges === 'string'
+                    ? { complianceCategories: this.complianceCategories, riskLevels: this.riskLevels }[field.badges] || {}
+                    : field.badges || {};
+                const badge = badges[value];
+                text = badge && badge.label ? badge.label : text;
+                color = (badge && badge.color) || this.complianceCategories.unknown.color;
+                break;
+            }
+        }
+        
+        return { text: `${field.prefix || ''}${text}${field.suffix || ''}`, color, empty: false };
+    }
+    
+    // Escape text from the data source before inserting it into tooltip markup
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+    }
+    
+    // Fill the audit status line and the list of overdue or due-soon standards
+    showAuditStatus(data) {
+        const audit = this.getAuditStatus(data);
+        const statusLabels = {
+            'ok': 'Up to date',
+            'due-soon': 'Due soon',
+            'overdue': 'Overdue',
+            'never': 'Never audited'
+        };
+        const statusElement = this.root.getElementById("country-audit-status");
+        statusElement.textContent = audit
+            ? `${statusLabels[audit.state]}${audit.daysSince !== null ? ` · ${audit.daysSince} days since audit` : ''}`
+            : "No data";
+        statusElement.className = audit ? `audit-text-${audit.state}` : '';
+        
+        const pending = audit ? audit.items.filter(item => item.state !== 'ok') : [];
+        this.selectElement("#country-audit-overdue")
+            .classed("hidden", pending.length === 0)
+            .selectAll("li")
+            .data(pending)
+            .join("li")
+            .attr("class", item => `audit-text-${item.state}`)
+            .text(item => {
+                const name = item.standard || "Audit";
+                if (item.state === 'never') return `${name} · never audited`;
+                if (item.state === 'overdue') return `${name} · overdue by ${-item.daysRemaining} days (every ${item.interval} days)`;
+                return `${name} · due in ${item.daysRemaining} days (every ${item.interval} days)`;
+            });
+    }
+    
+    zoomToCountry(d) {
+        this.zoomToFeatures([d]);
+    }
     
-    showCountryInfo(countryName) {
-        const data = this.getCybersecurityData(countryName);
-        
-        // Update info panel with cybersecurity data
-        document.getElementById("country-name").textContent = countryName;
-        
-        if (data) {
-            const category = this.complianceCategories[data.complianceStatus];
-            document.getElementById("country-capital").textContent = data.cybersecurityStandard || "Not specified";
-            document.getElementById("country-population").textContent = category ? category.label : "Unknown";
-            document.getElementById("country-area").textContent = `${data.unitsInCountry || 0} units`;
-            document.getElementById("country-currency").textContent = `${data.complianceScore || 0}%`;
-            document.getElementById("country-languages").textContent = data.certifications ? data.certifications.join(", ") : "None";
-            document.getElementById("country-region").textContent = data.lastAuditDate || "Never";
+    // Zoom so the combined bounds of the given features fill the view
+    zoomToFeatures(features) {
+        if (!features.length) return;
+        let allBounds;
+        if (this.isGlobe()) {
+            // Turn the features to face the viewer, measuring their bounds
+            // with the rotation they will end up at
+            const [lon, lat] = d3.geoCentroid({ type: "FeatureCollection", features });
+            const rotation = this.projection.rotate();
+            this.projection.rotate([-lon, -lat]);
+            allBounds = features.map(d => this.path.bounds(d));
+            this.projection.rotate(rotation);
+            this.rotateGlobe([-lon, -lat]);
         } else {
-            document.getElementById("country-capital").textContent = "No data available";
-            document.getElementById("country-population").textContent = "Unknown";
-            document.getElementById("country-area").textContent = "0 units";
-            document.getElementById("country-currency").textContent = "0%";
-            document.getElementById("country-languages").textContent = "None";
-            document.getElementById("country-region").textContent = "Never";
+            allBounds = features.map(d => this.path.bounds(d));
         }
-        
-        // Show info panel
-        document.getElementById("info-panel").classList.remove("hidden");
+        this.zoomToBounds([
+            [d3.min(allBounds, b => b[0][0]), d3.min(allBounds, b => b[0][1])],
+            [d3.max(allBounds, b => b[1][0]), d3.max(allBounds, b => b[1][1])]
+        ]);
     }
     
-    zoomToCountry(d) {
-        const bounds = this.path.bounds(d);
+    // Zoom to projected bounds [[x0, y0], [x1, y1]], capped at the maximum zoom
+    zoomToBounds(bounds) {
         const dx = bounds[1][0] - bounds[0][0];
         const dy = bounds[1][1] - bounds[0][1];
         const x = (bounds[0][0] + bounds[1][0]) / 2;
         const y = (bounds[0][1] + bounds[1][1]) / 2;
-        const scale = Math.min(8, 0.9 / Math.max(dx / this.svg.attr("width"), dy / this.svg.attr("height")));
+        const scale = Math.max(1, Math.min(8, 0.9 / Math.max(dx / this.svg.attr("width"), dy / this.svg.attr("height"))));
         const translate = [this.svg.attr("width") / 2 - scale * x, this.svg.attr("height") / 2 - scale * y];
         
         this.svg.transition()
@@ -430,13 +3191,182 @@ class WorldMap {
             .call(this.zoom.transform, d3.zoomIdentity.translate(translate[0], translate[1]).scale(scale));
     }
     
+    // Add or remove a country from the comparison tray
+    toggleCompareCountry(feature) {
+        const note = this.root.getElementById("compare-note");
+        note.textContent = "";
+        
+        const index = this.compareCountries.indexOf(feature);
+        if (index >= 0) {
+            this.compareCountries.splice(index, 1);
+        } else if (this.compareCountries.length >= this.maxCompareCountries) {
+            note.textContent = `Compare up to ${this.maxCompareCountries} countries at a time. Remove one to add ${this.getCountryName(feature)}.`;
+            return;
+        } else {
+            this.compareCountries.push(feature);
+        }
+        
+        this.renderCompareTray();
+        this.updateCompareButton();
+        this.zoomToFeatures(this.compareCountries);
+    }
+    
+    clearCompare() {
+        this.compareCountries = [];
+        this.root.getElementById("compare-note").textContent = "";
+        this.renderCompareTray();
+        this.updateCompareButton();
+    }
+    
+    // Rows of the comparison table: label, cell text and how differences are marked.
+    // Numeric rows mark the best and worst values; list rows mark entries not
+    // shared by every compared country.
+    getCompareRows() {
+        return [
+            { label: 'Standard', text: data => data.cybersecurityStandard || '—' },
+            {
+                label: 'Status',
+                text: data => (this.complianceCategories[data.complianceStatus] || this.complianceCategories.unknown).label,
+                color: data => (this.complianceCategories[data.complianceStatus] || this.complianceCategories.unknown).color
+            },
+            { label: 'Score', text: data => data.complianceScore !== null && data.complianceScore !== undefined ? `${data.complianceScore}%` : '—', value: data => data.complianceScore },
+            { label: 'Units', text: data => data.unitsInCountry ?? '—', value: data => data.unitsInCountry },
+            { label: 'Certifications', list: data => data.certifications || [] },
+            { label: 'Last Audit', text: data => data.lastAuditDate || 'Never' },
+            {
+                label: 'Days Since Audit',
+                text: data => { const days = this.getDaysSinceAudit(data); return days === null ? '—' : days; },
+                value: data => this.getDaysSinceAudit(data),
+                lowerIsBetter: true
+            }
+        ];
+    }
+    
+    // Render the comparison tray with one column per compared country
+    renderCompareTray() {
+        const tray = this.root.getElementById("compare-tray");
+        if (!tray || !this.g) return;
+        
+        this.g.selectAll(".country").classed("compared", d => this.compareCountries.includes(d));
+        tray.classList.toggle("hidden", this.compareCountries.length === 0);
+        this.root.getElementById("compare-count").textContent = `${this.compareCountries.length}/${this.maxCompareCountries}`;
+        if (this.compareCountries.length === 0) return;
+        
+        const columns = this.compareCountries.map(feature => {
+            const name = this.getCountryName(feature);
+            return { feature, name, data: this.getCybersecurityData(name) || {} };
+        });
+        
+        const headerRow = this.selectElement("#compare-table thead tr");
+        headerRow.selectAll("th.compare-country")
+            .data(columns, column => column.name)
+            .join(enter => {
+                const th = enter.append("th").attr("class", "compare-country");
+                th.append("span").attr("class", "compare-country-name");
+                th.append("button")
+                    .attr("class", "compare-remove")
+                    .attr("title", "Remove from comparison")
+                    .html("&times;");
+                return th;
+            })
+            .call(th => th.select(".compare-country-name")
+                .text(column => column.name)
+                .on("click", (event, column) => this.selectCountryByData(column.feature, false)))
+            .call(th => th.select(".compare-remove").on("click", (event, column) => this.toggleCompareCountry(column.feature)))
+            .order();
+        
+        const rows = this.getCompareRows().map(row => {
+            const cells = columns.map(column => ({ row, data: column.data }));
+            if (row.list) {
+                const lists = columns.map(column => row.list(column.data));
+                const shared = lists.reduce((common, list) => common.filter(item => list.includes(item)));
+                cells.forEach((cell, i) => {
+                    cell.items = lists[i].map(item => ({ item, unique: !shared.includes(item) }));
+                });
+                return { row, cells, differs: lists.some(list => list.length !== shared.length) };
+            }
+            
+            const texts = cells.map(cell => String(row.text(cell.data)));
+            if (row.value) {
+                const values = cells.map(cell => row.value(cell.data)).map(v => v === null || v === undefined || v === '' ? NaN : +v);
+                const valid = values.filter(v => !isNaN(v));
+                const [min, max] = d3.extent(valid);
+                if (valid.length > 1 && min !== max) {
+                    cells.forEach((cell, i) => {
+                        if (values[i] === (row.lowerIsBetter ? min : max)) cell.rank = 'best';
+                        if (values[i] === (row.lowerIsBetter ? max : min)) cell.rank = 'worst';
+                    });
+                }
+            }
+            return { row, cells, texts, differs: columns.length > 1 && new Set(texts).size > 1 };
+        });
+        
+        this.selectElement("#compare-table tbody")
+            .selectAll("tr")
+            .data(rows)
+            .join(enter => {
+                const tr = enter.append("tr");
+                tr.append("th").attr("scope", "row");
+                return tr;
+            })
+            .classed("differs", r => r.differs)
+            .call(tr => tr.select("th").text(r => r.row.label))
+            .selectAll("td")
+            .data(r => r.cells.map((cell, i) => ({ ...cell, text: r.texts ? r.texts[i] : null })))
+            .join("td")
+            .attr("class", cell => cell.rank ? `compare-${cell.rank}` : null)
+            .style("color", cell => cell.row.color ? cell.row.color(cell.data) : null)
+            .each(function (cell) {
+                const td = d3.select(this);
+                if (!cell.items) {
+                    td.text(cell.text);
+                    return;
+                }
+                td.text(null);
+                if (cell.items.length === 0) {
+                    td.text('None');
+                    return;
+                }
+                td.selectAll("span")
+                    .data(cell.items)
+                    .join("span")
+                    .attr("class", entry => entry.unique ? "compare-tag unique" : "compare-tag")
+                    .text(entry => entry.item);
+            });
+    }
+    
+    // Keep the info panel's compare button in step with the tray
+    updateCompareButton() {
+        const button = this.root.getElementById("compare-country");
+        if (!button) return;
+        const compared = !!this.selectedCountry && this.compareCountries.includes(this.selectedCountry);
+        button.textContent = compared ? "Remove from compare" : "Add to compare";
+        button.disabled = !this.selectedCountry
+            || (!compared && this.compareCountries.length >= this.maxCompareCountries);
+    }
+    
     deselectCountry() {
+        const previous = this.selectedCountry;
+        const infoPanel = this.root.getElementById("info-panel");
+        const focusInPanel = infoPanel.contains(this.root.activeElement);
+        
         // Clear selection from countries
         this.g.selectAll(".country").classed("selected", false);
         this.selectedCountry = null;
+        this.closeCountryEditor();
         
-        // Hide info panel
-        document.getElementById("info-panel").classList.add("hidden");
+        // Hide info panel, returning keyboard focus to the country it described
+        infoPanel.classList.add("hidden");
+        if (focusInPanel && previous) {
+            const path = this.g.selectAll(".country").filter(d => d === previous).node();
+            if (path) path.focus({ preventScroll: true });
+        }
+        this.syncTableSelection();
+        this.updateCountryLabels(true);
+        this.updateUrlState(true);
+        if (previous) {
+            this.emit("countryselect", this.getCountryEventDetail(null));
+        }
     }
     
     resetZoom() {
@@ -449,43 +3379,272 @@ class WorldMap {
     
     setupEventListeners() {
         // Close info panel
-        document.getElementById("close-info").addEventListener("click", () => {
-            document.getElementById("info-panel").classList.add("hidden");
-            this.g.selectAll(".country").classed("selected", false);
-            this.selectedCountry = null;
+        this.root.getElementById("close-info").addEventListener("click", () => {
+            this.deselectCountry();
+        });
+        
+        // Dismiss data issues panel
+        this.root.getElementById("close-data-issues").addEventListener("click", () => {
+            this.root.getElementById("data-issues-panel").classList.add("hidden");
+        });
+        
+        // Color by selector
+        const colorModeSelect = this.root.getElementById("color-mode");
+        colorModeSelect.value = this.colorMode;
+        colorModeSelect.addEventListener("change", (e) => {
+            this.setColorMode(e.target.value);
+        });
+        
+        // Country or region view
+        const groupings = Object.entries(this.getRegionGroupings());
+        this.selectElement("#region-mode")
+            .selectAll("option.region-grouping")
+            .data(groupings)
+            .join("option")
+            .attr("class", "region-grouping")
+            .attr("value", ([key]) => key)
+            .text(([key, grouping]) => grouping.label || key);
+        this.root.getElementById("region-mode").addEventListener("change", (e) => {
+            this.setRegionGrouping(e.target.value || null);
+        });
+        this.root.getElementById("close-region").addEventListener("click", () => this.deselectRegion());
+        
+        // Map projection
+        const projectionSelect = this.selectElement("#projection-mode");
+        projectionSelect.selectAll("option")
+            .data(Object.entries(this.getProjectionTypes()))
+            .join("option")
+            .attr("value", ([key]) => key)
+            .text(([, type]) => type.label);
+        projectionSelect.property("value", this.projectionType);
+        projectionSelect.on("change", (event) => this.setProjection(event.target.value));
+        
+        // Filter panel
+        const filterPanel = this.root.getElementById("filter-panel");
+        this.root.getElementById("toggle-filters").addEventListener("click", () => {
+            filterPanel.classList.toggle("hidden");
+        });
+        this.root.getElementById("close-filters").addEventListener("click", () => {
+            filterPanel.classList.add("hidden");
+        });
+        this.root.getElementById("filter-form").addEventListener("input", () => {
+            this.readFilterForm();
+        });
+        this.root.getElementById("clear-filters").addEventListener("click", () => {
+            this.setFilters({});
+        });
+        
+        // Keyboard: Escape closes panels and clears the selection
+        // (only for this instance, or when nothing on the page has focus)
+        this.listen(document, "keydown", (e) => {
+            if (e.key === "Escape" && (e.composedPath().includes(this.host) || e.target === document.body)) {
+                this.handleEscape();
+            }
+        });
+        
+        // Palette selector (e.g. colorblind-safe colors)
+        const palettes = Object.entries(this.getPalettes());
+        const paletteSelect = this.selectElement("#palette-select");
+        paletteSelect.selectAll("option")
+            .data(palettes.length ? palettes : [['default', { label: 'Standard' }]])
+            .join("option")
+            .attr("value", ([key]) => key)
+            .text(([key, palette]) => palette.label || key);
+        paletteSelect.property("value", this.palette);
+        this.root.getElementById("palette-mode").classList.toggle("hidden", palettes.length < 2);
+        paletteSelect.on("change", (event) => this.setPalette(event.target.value));
+        
+        // Unit site layer and detail panel
+        const showSites = this.root.getElementById("show-sites");
+        showSites.checked = this.showSites;
+        this.root.getElementById("site-toggle").classList.toggle("hidden", this.sites.length === 0);
+        showSites.addEventListener("change", (e) => this.toggleSites(e.target.checked));
+        
+        // Country name labels
+        const showLabels = this.root.getElementById("show-labels");
+        showLabels.checked = this.showLabels;
+        showLabels.addEventListener("change", (e) => this.toggleLabels(e.target.checked));
+        this.root.getElementById("close-site").addEventListener("click", () => this.hideSiteInfo());
+        this.root.getElementById("site-show-country").addEventListener("click", () => {
+            if (this.selectedSite) this.selectCountryByName(this.selectedSite.isoCode || this.selectedSite.country);
+        });
+        
+        // Refresh indicator doubles as a "refresh now" button
+        this.root.getElementById("refresh-status").addEventListener("click", () => this.refreshData());
+        
+        // Comparison tray
+        this.root.getElementById("compare-country").addEventListener("click", () => {
+            if (this.selectedCountry) this.toggleCompareCountry(this.selectedCountry);
+        });
+        
+        // Data editor and its list of unsaved changes
+        this.root.getElementById("edit-country").addEventListener("click", () => this.openCountryEditor());
+        this.root.getElementById("cancel-edit").addEventListener("click", () => this.closeCountryEditor());
+        this.root.getElementById("country-edit-form").addEventListener("submit", (e) => {
+            e.preventDefault();
+            this.saveCountryEdit();
+        });
+        this.root.getElementById("discard-draft").addEventListener("click", () => {
+            if (confirm("Discard all unsaved changes?")) this.revertDraft();
+        });
+        this.root.getElementById("export-draft-json").addEventListener("click", () => this.exportDraftData('json'));
+        this.root.getElementById("export-draft-csv").addEventListener("click", () => this.exportDraftData('csv'));
+        this.renderDraftPanel();
+        this.root.getElementById("compare-fit").addEventListener("click", () => this.zoomToFeatures(this.compareCountries));
+        this.root.getElementById("clear-compare").addEventListener("click", () => this.clearCompare());
+        
+        // Country table
+        this.root.getElementById("toggle-table").addEventListener("click", () => this.toggleCountryTable());
+        this.root.getElementById("close-table").addEventListener("click", () => this.toggleCountryTable());
+        this.root.querySelectorAll("#country-table th").forEach(header => {
+            header.addEventListener("click", () => this.sortCountryTable(header.dataset.sort));
+        });
+        
+        // Collapsible dashboard
+        this.root.getElementById("toggle-dashboard").addEventListener("click", () => {
+            const dashboard = this.root.getElementById("dashboard");
+            const collapsed = dashboard.classList.toggle("collapsed");
+            this.root.getElementById("toggle-dashboard").setAttribute("aria-expanded", String(!collapsed));
+        });
+        
+        // Timeline slider and playback
+        this.root.getElementById("timeline-slider").addEventListener("input", (e) => {
+            this.stopTimelinePlayback();
+            this.setTimelineStep(+e.target.value);
+        });
+        this.root.getElementById("timeline-play").addEventListener("click", () => {
+            this.toggleTimelinePlayback();
         });
         
         // Reset zoom button
-        document.getElementById("reset-zoom").addEventListener("click", () => {
+        this.root.getElementById("reset-zoom").addEventListener("click", () => {
             this.resetZoom();
         });
         
-        // Export button
-        const exportBtn = document.getElementById('export-map');
-        if (exportBtn) {
-            exportBtn.addEventListener('click', () => this.exportMapAsPNG());
+        // Export dialog
+        this.root.getElementById("export-map").addEventListener("click", () => this.openExportDialog());
+        this.root.getElementById("close-export").addEventListener("click", () => this.closeExportDialog());
+        this.root.getElementById("cancel-export").addEventListener("click", () => this.closeExportDialog());
+        const exportForm = this.root.getElementById("export-form");
+        exportForm.addEventListener("change", () => this.updateExportForm());
+        exportForm.addEventListener("submit", (e) => {
+            e.preventDefault();
+            this.root.getElementById("export-error").textContent = "";
+            this.exportMap();
+        });
+        
+        // Resize with the container, which an embedding page may resize on its own
+        this.resizeObserver = new ResizeObserver(() => this.handleResize());
+        this.resizeObserver.observe(this.root.getElementById("world-map"));
+    }
+    
+    // Build month-by-month timeline steps from the audit history in the data.
+    // The timeline stays hidden when no country has a history.
+    refreshTimeline() {
+        const timeline = this.root.getElementById("timeline");
+        if (!timeline) return;
+        
+        this.stopTimelinePlayback();
+        this.timelineDate = null;
+        
+        const records = Object.values(this.cybersecurityData);
+        const dates = records.flatMap(record => (record.history || []).map(entry => entry.date));
+        if (dates.length === 0) {
+            this.timelineSteps = [];
+            timeline.classList.add("hidden");
+            return;
         }
         
-        // Window resize
-        window.addEventListener("resize", () => {
-            this.handleResize();
+        records.forEach(record => {
+            if (record.lastAuditDate) dates.push(record.lastAuditDate);
         });
+        const first = d3.timeMonth.floor(d3.timeParse("%Y-%m-%d")(d3.min(dates)));
+        const last = d3.timeMonth.floor(new Date());
+        this.timelineSteps = d3.timeMonth.range(first, d3.timeMonth.offset(last, 1));
+        
+        const slider = this.root.getElementById("timeline-slider");
+        slider.max = this.timelineSteps.length - 1;
+        slider.value = slider.max;
+        this.updateTimelineLabel();
+        timeline.classList.remove("hidden");
+    }
+    
+    // Show the map as it was at the end of the given timeline month
+    setTimelineStep(index) {
+        const lastIndex = this.timelineSteps.length - 1;
+        const step = Math.max(0, Math.min(lastIndex, index));
+        this.root.getElementById("timeline-slider").value = step;
+        
+        if (step === lastIndex) {
+            this.timelineDate = null;
+        } else {
+            const monthEnd = d3.timeDay.offset(d3.timeMonth.offset(this.timelineSteps[step], 1), -1);
+            this.timelineDate = d3.timeFormat("%Y-%m-%d")(monthEnd);
+        }
+        
+        this.updateTimelineLabel();
+        this.updateCountryStyles();
+        if (this.selectedCountry) {
+            this.showCountryInfo(this.getCountryName(this.selectedCountry));
+        }
+    }
+    
+    updateTimelineLabel() {
+        const slider = this.root.getElementById("timeline-slider");
+        const step = this.timelineSteps[+slider.value];
+        this.root.getElementById("timeline-date").textContent = this.timelineDate
+            ? d3.timeFormat("%b %Y")(step)
+            : "Latest";
+    }
+    
+    toggleTimelinePlayback() {
+        if (this.timelinePlayback) {
+            this.stopTimelinePlayback();
+            return;
+        }
+        
+        const slider = this.root.getElementById("timeline-slider");
+        if (+slider.value >= +slider.max) {
+            this.setTimelineStep(0);
+        }
+        
+        const interval = (this.config.timeline && this.config.timeline.playbackInterval) || 800;
+        this.timelinePlayback = setInterval(() => {
+            const next = +slider.value + 1;
+            this.setTimelineStep(next);
+            if (next >= +slider.max) {
+                this.stopTimelinePlayback();
+            }
+        }, interval);
+        this.root.getElementById("timeline-play").classList.add("playing");
+    }
+    
+    stopTimelinePlayback() {
+        if (this.timelinePlayback) {
+            clearInterval(this.timelinePlayback);
+            this.timelinePlayback = null;
+        }
+        const playButton = this.root.getElementById("timeline-play");
+        if (playButton) {
+            playButton.classList.remove("playing");
+        }
     }
     
     setupSearch() {
         if (!this.config.settings.enableSearch) {
-            document.querySelector(".search-container").style.display = "none";
+            this.root.querySelector(".search-container").style.display = "none";
             return;
         }
         
-        const searchInput = document.getElementById("country-search");
-        const searchResults = document.getElementById("search-results");
+        const searchInput = this.root.getElementById("country-search");
+        this.searchMatches = [];
+        this.searchActiveIndex = -1;
         
         searchInput.addEventListener("input", (e) => {
             const query = e.target.value.toLowerCase().trim();
             
             if (query.length < 2) {
-                searchResults.classList.add("hidden");
+                this.hideSearchResults();
                 return;
             }
             
@@ -497,59 +3656,100 @@ class WorldMap {
             this.displaySearchResults(matches);
         });
         
+        // Arrow keys move through the results, Enter picks one
+        searchInput.addEventListener("keydown", (e) => {
+            if (!this.searchMatches.length || this.root.getElementById("search-results").classList.contains("hidden")) return;
+            if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+                e.preventDefault();
+                const step = e.key === "ArrowDown" ? 1 : -1;
+                const count = this.searchMatches.length;
+                this.setActiveSearchResult((this.searchActiveIndex + step + count) % count);
+            } else if (e.key === "Enter") {
+                e.preventDefault();
+                this.selectSearchResult(this.searchMatches[Math.max(0, this.searchActiveIndex)]);
+            }
+        });
+        
         // Hide search results when clicking outside
-        document.addEventListener("click", (e) => {
-            if (!e.target.closest(".search-container")) {
-                searchResults.classList.add("hidden");
+        const searchContainer = this.root.querySelector(".search-container");
+        this.listen(document, "click", (e) => {
+            if (!e.composedPath().includes(searchContainer)) {
+                this.hideSearchResults();
             }
         });
     }
     
     displaySearchResults(matches) {
-        const searchResults = document.getElementById("search-results");
+        const searchResults = this.root.getElementById("search-results");
+        this.searchMatches = matches;
+        this.searchActiveIndex = -1;
         
         if (matches.length === 0) {
-            searchResults.classList.add("hidden");
+            this.hideSearchResults();
             return;
         }
         
-        searchResults.innerHTML = matches.map(country => {
+        searchResults.innerHTML = matches.map((country, i) => {
             const name = this.getCountryName(country);
             const data = this.getCybersecurityData(name);
             let indicator = '';
+            let status = 'No data';
             
             if (data) {
                 const category = this.complianceCategories[data.complianceStatus];
                 const color = category ? category.color : '#9E9E9E';
-                indicator = ` <span style="color: ${color};">●</span>`;
+                indicator = ` <span style="color: ${color};" aria-hidden="true">●</span>`;
+                status = category ? category.label : 'Unknown';
             } else {
-                indicator = ' <span style="color: #9E9E9E;">●</span>';
+                indicator = ' <span style="color: #9E9E9E;" aria-hidden="true">●</span>';
             }
             
-            return `<div class="search-result-item" data-country="${name}">${name}${indicator}</div>`;
+            return `<div class="search-result-item" id="search-result-${i}" role="option" aria-selected="false" aria-label="${name}: ${status}" data-country="${name}">${name}${indicator}</div>`;
         }).join("");
         
         searchResults.classList.remove("hidden");
+        this.root.getElementById("country-search").setAttribute("aria-expanded", "true");
         
         // Add click listeners to search results
-        searchResults.querySelectorAll(".search-result-item").forEach(item => {
-            item.addEventListener("click", () => {
-                const countryName = item.dataset.country;
-                const country = matches.find(c => 
-                    this.getCountryName(c) === countryName
-                );
-                
-                if (country) {
-                    this.selectCountryByData(country);
-                    document.getElementById("country-search").value = countryName;
-                    searchResults.classList.add("hidden");
-                }
-            });
+        searchResults.querySelectorAll(".search-result-item").forEach((item, i) => {
+            item.addEventListener("click", () => this.selectSearchResult(matches[i]));
+        });
+    }
+    
+    hideSearchResults() {
+        this.root.getElementById("search-results").classList.add("hidden");
+        const searchInput = this.root.getElementById("country-search");
+        searchInput.setAttribute("aria-expanded", "false");
+        searchInput.removeAttribute("aria-activedescendant");
+    }
+    
+    // Mark a search result as active for keyboard users and screen readers
+    setActiveSearchResult(index) {
+        this.searchActiveIndex = index;
+        const items = this.root.querySelectorAll("#search-results .search-result-item");
+        items.forEach((item, i) => {
+            item.classList.toggle("active", i === index);
+            item.setAttribute("aria-selected", String(i === index));
         });
+        if (items[index]) {
+            items[index].scrollIntoView({ block: "nearest" });
+            this.root.getElementById("country-search").setAttribute("aria-activedescendant", items[index].id);
+        }
+    }
+    
+    selectSearchResult(country) {
+        if (!country) return;
+        this.selectCountryByData(country);
+        this.root.getElementById("country-search").value = this.getCountryName(country);
+        this.hideSearchResults();
+        this.focusInfoPanel();
     }
     
-    selectCountryByData(countryData) {
+    selectCountryByData(countryData, zoom = this.config.settings.autoZoomOnClick) {
         const countryName = this.getCountryName(countryData);
+        if (this.regionGrouping) {
+            this.setRegionGrouping(null);
+        }
         
         // Clear previous selection
         this.g.selectAll(".country").classed("selected", false);
@@ -562,50 +3762,496 @@ class WorldMap {
         
         this.selectedCountry = countryData;
         this.showCountryInfo(countryName);
+        this.syncTableSelection();
+        this.updateCountryLabels(true);
+        this.updateUrlState(true);
+        this.emit("countryselect", this.getCountryEventDetail(countryData));
         
-        if (this.config.settings.autoZoomOnClick) {
+        if (zoom) {
             this.zoomToCountry(countryData);
         }
     }
     
-    handleResize() {
-        const container = d3.select("#world-map");
-        const containerNode = container.node();
-        const width = containerNode.clientWidth;
-        const height = containerNode.clientHeight;
+    // Restore the view from the URL hash and follow back/forward navigation
+    // Only one instance on a page (the one created with `urlState`) can own the hash
+    setupUrlState() {
+        if (!this.options.urlState) return;
+        this.restoreUrlState();
+        this.listen(window, "popstate", () => this.restoreUrlState());
+    }
+    
+    // Serialize the selected country, zoom, color mode and filters into the
+    // URL hash. Selection changes add a history entry; everything else
+    // updates the current one.
+    updateUrlState(push = false) {
+        if (this.restoringUrlState || !this.countries || !this.urlStateReady) return;
+        
+        const params = new URLSearchParams();
+        if (this.selectedCountry) {
+            params.set("country", this.selectedCountry.properties.isoCode || this.getCountryName(this.selectedCountry));
+        }
+        
+        if (this.projectionType !== this.getDefaultProjection()) {
+            params.set("projection", this.projectionType);
+        }
+        const view = this.getViewCenter();
+        if (view) {
+            params.set("view", `${view.k.toFixed(2)}/${view.lon.toFixed(2)}/${view.lat.toFixed(2)}`);
+        }
+        if (this.colorMode && this.colorMode !== 'status') {
+            params.set("color", this.colorMode);
+        }
+        if (this.regionGrouping) {
+            params.set("region", this.selectedRegion ? `${this.regionGrouping}:${this.selectedRegion.name}` : this.regionGrouping);
+        }
+        
+        const f = this.filters;
+        if (f.status.length) params.set("status", f.status.join(","));
+        if (f.riskLevel.length) params.set("risk", f.riskLevel.join(","));
+        if (f.certification) params.set("cert", `${f.certificationMode}:${f.certification}`);
+        if (f.scoreMin !== null || f.scoreMax !== null) params.set("score", `${f.scoreMin ?? ''}-${f.scoreMax ?? ''}`);
+        if (f.auditAgeMin !== null) params.set("audit", f.auditAgeMin);
+        if (f.unitsMin !== null) params.set("units", f.unitsMin);
+        
+        // Keep separators readable so links can be pasted into tickets
+        const query = params.toString().replace(/%2F/g, '/').replace(/%2C/g, ',').replace(/%3A/g, ':');
+        const hash = query ? `#${query}` : '';
+        if (hash === window.location.hash) return;
+        const url = hash || window.location.pathname + window.location.search;
+        // The kiosk tour would otherwise add a history entry per country
+        if (push && !this.kiosk) {
+            history.pushState(null, "", url);
+        } else {
+            history.replaceState(null, "", url);
+        }
+    }
+    
+    getDefaultProjection() {
+        return this.options.projection || (this.config.projection || {}).type || 'naturalEarth';
+    }
+    
+    // Map coordinates at the center of the viewport; null at the default view.
+    // The globe always has a view, since it may have been rotated.
+    getViewCenter() {
+        const k = this.baseTransform.k;
+        if (k <= 1.05 && !this.isGlobe()) return null;
+        
+        const width = +this.svg.attr("width");
+        const height = +this.svg.attr("height");
+        const point = this.baseTransform.invert([width / 2, height / 2]);
+        const [lon, lat] = this.projection.invert(point);
+        return { k, lon, lat };
+    }
+    
+    restoreUrlState() {
+        if (!this.countries) return;
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        this.restoringUrlState = true;
+        
+        try {
+            this.setProjection(params.get("projection") || this.getDefaultProjection());
+            
+            const color = params.get("color") || 'status';
+            if (this.colorModes[color] && color !== this.colorMode) {
+                this.setColorMode(color);
+            }
+            
+            const [certificationMode, ...certification] = (params.get("cert") || '').split(":");
+            const [scoreMin, scoreMax] = (params.get("score") || '-').split("-");
+            const number = (value) => value === null || value === '' || isNaN(value) ? null : +value;
+            this.setFilters({
+                status: params.get("status") ? params.get("status").split(",") : [],
+                riskLevel: params.get("risk") ? params.get("risk").split(",") : [],
+                certification: certification.join(":"),
+                certificationMode: certificationMode === 'has' ? 'has' : 'missing',
+                scoreMin: number(scoreMin),
+                scoreMax: number(scoreMax),
+                auditAgeMin: number(params.get("audit")),
+                unitsMin: number(params.get("units"))
+            });
+            
+            const view = (params.get("view") || '').split("/").map(Number);
+            const hasView = view.length === 3 && view.every(v => !isNaN(v));
+            const feature = params.get("country") ? this.findCountryFeature(params.get("country")) : null;
+            
+            const [grouping, ...regionName] = (params.get("region") || '').split(":");
+            if ((grouping || null) !== this.regionGrouping) {
+                this.setRegionGrouping(grouping || null);
+            }
+            const region = this.regions.find(r => r.name === regionName.join(":"));
+            if (region) {
+                this.selectRegion(region, !hasView);
+            } else {
+                this.hideRegionInfo();
+            }
+            
+            if (feature) {
+                this.selectCountryByData(feature, !hasView && this.config.settings.autoZoomOnClick);
+            } else if (this.selectedCountry) {
+                this.deselectCountry();
+            }
+            
+            if (hasView) {
+                const [k, lon, lat] = view;
+                if (this.isGlobe()) {
+                    this.svg.interrupt("rotate");
+                    this.projection.rotate([-lon, -lat]);
+                    this.renderProjection();
+                }
+                const point = this.projection([lon, lat]);
+                const width = +this.svg.attr("width");
+                const height = +this.svg.attr("height");
+                this.svg.call(this.zoom.transform, d3.zoomIdentity
+                    .translate(width / 2 - k * point[0], height / 2 - k * point[1])
+                    .scale(k));
+            } else if (!region && (!feature || !this.config.settings.autoZoomOnClick)) {
+                this.svg.call(this.zoom.transform, d3.zoomIdentity);
+            }
+        } finally {
+            this.restoringUrlState = false;
+            this.urlStateReady = true;
+        }
+    }
+    
+    handleResize() {
+        const container = this.selectElement("#world-map");
+        const containerNode = container.node();
+        const width = containerNode.clientWidth;
+        const height = containerNode.clientHeight;
+        
+        this.svg
+            .attr("width", width)
+            .attr("height", height);
+        
+        this.svg.select("rect")
+            .attr("width", width)
+            .attr("height", height);
+        
+        if (this.isCanvas()) {
+            this.sizeCanvas(width, height);
+        }
+        this.fitProjection();
+        this.renderProjection();
+    }
+    
+    // Method to reload configuration (useful for dynamic updates)
+    async reloadConfig() {
+        await this.loadConfig();
+        this.buildColorModes();
+        this.renderLegend();
+        
+        // Update country styling based on new configuration
+        this.updateCountryStyles();
+    }
+    
+    // Kiosk mode hides the controls and tours countries unattended. Enabled by
+    // `kiosk.enabled` or, on the instance that owns the URL, a `?kiosk=1`
+    // flag; `?kiosk=0` turns it off.
+    setupKiosk() {
+        const options = this.config.kiosk || {};
+        const flag = this.options.urlState ? new URLSearchParams(window.location.search).get('kiosk') : null;
+        const enabled = flag !== null ? !['0', 'false', 'off'].includes(flag) : !!options.enabled;
+        if (!enabled) return;
+        
+        this.kiosk = { index: -1, timer: null, resumeTimer: null, paused: false, current: null };
+        this.host.classList.add("kiosk");
+        
+        // Any interaction with this map pauses its tour until the display has
+        // been idle again; other maps and the rest of the page don't
+        ["pointerdown", "pointermove", "wheel", "keydown", "touchstart"].forEach(type => {
+            this.listen(this.host, type, () => this.pauseKiosk(), { passive: true });
+        });
+        
+        this.updateKioskStatus();
+        this.kiosk.timer = setTimeout(() => this.advanceKioskTour(), this.getKioskTiming().dwell);
+    }
+    
+    getKioskTiming() {
+        const options = this.config.kiosk || {};
+        return {
+            dwell: (options.dwellSeconds || 8) * 1000,
+            idle: (options.idleSeconds || 30) * 1000
+        };
+    }
+    
+    // Countries to tour: the `kiosk.order` list of names or ISO codes, or every
+    // country matching the active filters sorted by `units`, `score` or `name`
+    getKioskCountries() {
+        const order = (this.config.kiosk || {}).order || 'units';
+        let entries;
+        if (Array.isArray(order)) {
+            entries = order.map(name => ({ name, data: this.findCybersecurityRecord(name) }));
+        } else {
+            const number = (value) => value === null || value === undefined || value === '' ? null : +value;
+            const comparators = {
+                units: (a, b) => d3.descending(number(a.data.unitsInCountry) ?? -Infinity, number(b.data.unitsInCountry) ?? -Infinity),
+                score: (a, b) => d3.ascending(number(a.data.complianceScore) ?? Infinity, number(b.data.complianceScore) ?? Infinity),
+                name: (a, b) => d3.ascending(a.name, b.name)
+            };
+            entries = Object.keys(this.cybersecurityData)
+                .map(name => ({ name, data: this.getCybersecurityData(name) }))
+                .filter(entry => entry.data && this.matchesFilters(entry.data))
+                .sort((a, b) => (comparators[order] || comparators.units)(a, b) || d3.ascending(a.name, b.name));
+        }
+        return entries
+            .map(entry => this.findCountryFeature((entry.data && entry.data.isoCode) || entry.name))
+            .filter(Boolean);
+    }
+    
+    // Show the next country, or the world view after the last one. The list is
+    // rebuilt every step so refreshed data and filters are picked up.
+    advanceKioskTour() {
+        if (!this.kiosk || this.kiosk.paused) return;
+        clearTimeout(this.kiosk.timer);
+        
+        const countries = this.getKioskCountries();
+        this.kiosk.index = (this.kiosk.index + 1) % (countries.length + 1);
+        if (this.kiosk.index === countries.length) {
+            this.kiosk.current = null;
+            this.resetZoom();
+        } else {
+            this.kiosk.current = { position: this.kiosk.index + 1, total: countries.length };
+            this.selectCountryByData(countries[this.kiosk.index], false);
+            this.zoomToCountry(countries[this.kiosk.index]);
+        }
+        
+        this.updateKioskStatus();
+        this.kiosk.timer = setTimeout(() => this.advanceKioskTour(), this.getKioskTiming().dwell);
+    }
+    
+    pauseKiosk() {
+        if (!this.kiosk) return;
+        clearTimeout(this.kiosk.timer);
+        clearTimeout(this.kiosk.resumeTimer);
+        this.kiosk.resumeTimer = setTimeout(() => this.resumeKiosk(), this.getKioskTiming().idle);
+        if (!this.kiosk.paused) {
+            this.kiosk.paused = true;
+            this.updateKioskStatus();
+        }
+    }
+    
+    resumeKiosk() {
+        this.kiosk.paused = false;
+        this.advanceKioskTour();
+    }
+    
+    updateKioskStatus() {
+        const status = this.root.getElementById("kiosk-status");
+        if (!status || !this.kiosk) return;
+        status.classList.remove("hidden");
+        status.classList.toggle("paused", this.kiosk.paused);
+        
+        if (this.kiosk.paused) {
+            status.textContent = `Tour paused · resumes after ${Math.round(this.getKioskTiming().idle / 1000)}s idle`;
+        } else if (this.kiosk.current) {
+            const name = this.selectedCountry ? this.getCountryName(this.selectedCountry) : '';
+            status.textContent = `${name} · ${this.kiosk.current.position} of ${this.kiosk.current.total}`;
+        } else {
+            status.textContent = 'World overview';
+        }
+    }
+    
+    // Poll the data source every `refresh.intervalSeconds` (0 or unset disables).
+    // Each refresh is scheduled after the previous one finishes.
+    startAutoRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+        if (this.destroyed) return;
+        this.updateRefreshStatus();
+        
+        const interval = +(this.config.refresh || {}).intervalSeconds || 0;
+        if (interval <= 0) return;
+        this.refreshTimer = setTimeout(async () => {
+            // Skip the poll while the page is in a background tab, and once
+            // the host page has supplied its own data
+            if (!document.hidden && !this.hostData) {
+                await this.refreshData();
+            }
+            this.startAutoRefresh();
+        }, interval * 1000);
+    }
+    
+    // Reload the data in the background. Zoom, selection, filters and the
+    // comparison are kept; countries whose status or score changed pulse.
+    // Records passed by the host page are applied after a refresh already in
+    // progress rather than dropped; an overlapping reload is skipped.
+    async refreshData(records = null) {
+        if (this.refreshing) {
+            if (!records) return;
+            await this.refreshTask;
+            return this.refreshData(records);
+        }
+        // Reloading the data source would discard the host page's data
+        if (!records && this.hostData) return;
+        this.refreshTask = this.runRefresh(records);
+        return this.refreshTask;
+    }
+    
+    async runRefresh(records) {
+        this.refreshing = true;
+        this.updateRefreshStatus();
+        
+        const previous = this.cybersecurityData;
+        const previousIssues = JSON.stringify(this.dataIssues);
+        const issuesPanel = this.root.getElementById("data-issues-panel");
+        const issuesDismissed = issuesPanel.classList.contains("hidden");
+        const timelineDate = this.timelineDate;
+        
+        try {
+            if (records) {
+                this.setCybersecurityRows(this.recordsToRows(records, this.getHostDataSource()), this.getHostDataSource());
+            } else {
+                if ((this.config.refresh || {}).reloadConfig) {
+                    await this.loadConfig();
+                }
+                await this.loadCybersecurityData();
+                await this.loadSiteData();
+            }
+        } catch (error) {
+            console.warn('Data refresh failed:', error);
+            this.cybersecurityData = previous;
+            this.indexCybersecurityData();
+            this.lastRefresh = { time: new Date(), error, changes: [] };
+            this.refreshing = false;
+            if (this.destroyed) return;
+            this.updateRefreshStatus();
+            this.emit("error", { error, message: error.message });
+            return;
+        }
+        
+        // The map may have been removed while the data loaded
+        if (this.destroyed) {
+            this.refreshing = false;
+            return;
+        }
+        
+        const changes = this.diffRecords(previous, this.cybersecurityData);
+        this.lastRefresh = { time: new Date(), error: null, changes };
+        
+        // Don't reopen a dismissed issues panel for the same issues
+        if (issuesDismissed && JSON.stringify(this.dataIssues) === previousIssues) {
+            issuesPanel.classList.add("hidden");
+        }
+        
+        this.buildColorModes();
+        this.renderLegend();
+        this.renderFilterPanel();
+        this.refreshTimeline();
+        const step = timelineDate ? this.timelineSteps.findIndex(month => d3.timeFormat("%Y-%m")(month) === timelineDate.slice(0, 7)) : -1;
+        if (step >= 0) {
+            this.setTimelineStep(step);
+        } else {
+            this.updateCountryStyles();
+            if (this.selectedCountry) {
+                this.showCountryInfo(this.getCountryName(this.selectedCountry));
+            }
+        }
+        
+        this.pulseCountries(changes);
+        this.refreshing = false;
+        this.updateRefreshStatus();
+        this.emitDataLoaded(changes);
+    }
+    
+    emitDataLoaded(changes) {
+        this.emit("dataloaded", {
+            source: this.dataSourceName,
+            countries: Object.keys(this.cybersecurityData).length,
+            issues: this.dataIssues.length,
+            changes
+        });
+    }
+    
+    // Countries added, removed, or whose status or score changed between two loads
+    diffRecords(previous, current) {
+        const byKey = (records) => new Map(Object.entries(records).map(([name, record]) => [record.isoCode || name, { name, record }]));
+        const before = byKey(previous);
+        const after = byKey(current);
+        const changes = [];
+        
+        after.forEach(({ name, record }, key) => {
+            const old = before.get(key);
+            if (!old) {
+                changes.push({ name, kind: 'added' });
+                return;
+            }
+            const fields = ['complianceStatus', 'complianceScore']
+                .filter(field => (old.record[field] ?? null) !== (record[field] ?? null));
+            if (fields.length > 0) {
+                changes.push({ name, kind: 'changed', fields, before: old.record, after: record });
+            }
+        });
+        before.forEach(({ name }, key) => {
+            if (!after.has(key)) {
+                changes.push({ name, kind: 'removed' });
+            }
+        });
+        return changes;
+    }
+    
+    describeChange(change) {
+        if (change.kind !== 'changed') {
+            return `${change.name}: ${change.kind}`;
+        }
+        const label = (status) => (this.complianceCategories[status] || this.complianceCategories.unknown).label;
+        const parts = change.fields.map(field => field === 'complianceStatus'
+            ? `status ${label(change.before.complianceStatus)} → ${label(change.after.complianceStatus)}`
+            : `score ${change.before.complianceScore ?? 'N/A'} → ${change.after.complianceScore ?? 'N/A'}`);
+        return `${change.name}: ${parts.join(', ')}`;
+    }
+    
+    // Briefly pulse the countries affected by a refresh
+    pulseCountries(changes) {
+        const features = changes
+            .map(change => {
+                const record = this.findCybersecurityRecord(change.name);
+                return this.findCountryFeature((record && record.isoCode) || change.name);
+            })
+            .filter(Boolean);
+        if (features.length === 0) return;
         
-        this.svg
-            .attr("width", width)
-            .attr("height", height);
+        const paths = this.g.selectAll(".country").filter(d => features.includes(d));
+        paths.classed("pulse", false);
+        // Force a reflow so the animation restarts on countries still pulsing
+        paths.each(function () { this.getBoundingClientRect(); });
+        paths.classed("pulse", true);
         
-        this.svg.select("rect")
-            .attr("width", width)
-            .attr("height", height);
+        clearTimeout(this.pulseTimer);
+        this.pulseTimer = setTimeout(() => {
+            this.g.selectAll(".country.pulse").classed("pulse", false);
+        }, (this.config.refresh || {}).pulseDuration || 4000);
+    }
+    
+    // "Last updated" indicator with the outcome of the latest refresh
+    updateRefreshStatus() {
+        const status = this.root.getElementById("refresh-status");
+        if (!status) return;
         
-        this.projection
-            .scale(width / 6.5)
-            .translate([width / 2, height / 2]);
+        const interval = +(this.config.refresh || {}).intervalSeconds || 0;
+        const refresh = this.lastRefresh;
+        const time = (date) => date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const updatedAt = this.dataCachedAt ? new Date(this.dataCachedAt) : this.dataLoadedAt;
         
-        this.g.selectAll(".country")
-            .attr("d", this.path);
+        let text = updatedAt ? `Updated ${time(updatedAt)}` : 'Not loaded';
+        let title = 'Click to refresh now';
+        if (this.refreshing) {
+            text = 'Refreshing…';
+        } else if (refresh && refresh.error) {
+            text = `Refresh failed ${time(refresh.time)}: ${refresh.error.message} · ${text.toLowerCase()}`;
+            title = `${refresh.error.message}\n${title}`;
+        } else if (refresh && refresh.changes.length > 0) {
+            text += ` · ${refresh.changes.length} ${refresh.changes.length === 1 ? 'change' : 'changes'}`;
+            title = `${refresh.changes.map(change => this.describeChange(change)).join('\n')}\n${title}`;
+        }
         
-        // Update country label positions
-        this.g.selectAll(".country-label-text")
-            .attr("x", d => {
-                const centroid = this.path.centroid(d);
-                return centroid[0];
-            })
-            .attr("y", d => {
-                const centroid = this.path.centroid(d);
-                return centroid[1];
-            });
+        status.textContent = text;
+        status.title = title;
+        status.classList.toggle("refresh-error", !!(refresh && refresh.error) && !this.refreshing);
+        status.classList.toggle("hidden", interval <= 0 && !refresh);
     }
     
-    // Method to reload configuration (useful for dynamic updates)
-    async reloadConfig() {
-        await this.loadConfig();
-        
-        // Update country styling based on new configuration
+    // Re-apply compliance classes and colors to every country path
+    updateCountryStyles() {
         this.g.selectAll(".country")
             .attr("class", d => {
                 const countryName = this.getCountryName(d);
@@ -621,10 +4267,14 @@ class WorldMap {
                 }
                 return classes;
             })
+            .attr("aria-label", d => this.getCountryAriaLabel(d))
             .style("fill", d => {
                 const countryName = this.getCountryName(d);
                 return this.getCountryColor(countryName);
             });
+        
+        this.applyFilters();
+        this.updateAuditMarkers();
     }
     
     // Camera follow cursor system
@@ -634,25 +4284,35 @@ class WorldMap {
             const rect = this.svg.node().getBoundingClientRect();
             this.mousePos.x = event.clientX - rect.left;
             this.mousePos.y = event.clientY - rect.top;
+            this.wakeCameraFollow();
         });
         
         // Start the camera follow animation loop
         this.startCameraFollow();
     }
     
+    // The loop runs until the camera settles, then sleeps until the cursor
+    // moves or the zoom changes
     startCameraFollow() {
         const animate = () => {
-            this.updateCameraPosition();
-            this.animationId = requestAnimationFrame(animate);
+            this.animationId = this.updateCameraPosition() ? requestAnimationFrame(animate) : null;
         };
         
         this.animationId = requestAnimationFrame(animate);
     }
     
+    wakeCameraFollow() {
+        if (this.cameraFollowEnabled && !this.animationId) {
+            this.startCameraFollow();
+        }
+    }
+    
+    // Move the camera one step towards the cursor; false once it has settled
     updateCameraPosition() {
-        const rect = this.svg.node().getBoundingClientRect();
-        const centerX = rect.width / 2;
-        const centerY = rect.height / 2;
+        const width = +this.svg.attr("width");
+        const height = +this.svg.attr("height");
+        const centerX = width / 2;
+        const centerY = height / 2;
         
         // Calculate offset from center (normalized to -1 to 1)
         const normalizedX = (this.mousePos.x - centerX) / centerX;
@@ -666,15 +4326,23 @@ class WorldMap {
         }
         
         // Calculate target camera offset - INVERTED so camera moves towards cursor
-        const targetOffsetX = -normalizedX * effectiveIntensity * rect.width;
-        const targetOffsetY = -normalizedY * effectiveIntensity * rect.height;
+        const targetOffsetX = -normalizedX * effectiveIntensity * width;
+        const targetOffsetY = -normalizedY * effectiveIntensity * height;
         
-        // Smooth interpolation towards target
-        this.cameraOffset.x += (targetOffsetX - this.cameraOffset.x) * this.smoothness;
-        this.cameraOffset.y += (targetOffsetY - this.cameraOffset.y) * this.smoothness;
+        // Within a tenth of a pixel the camera snaps to the target and stops
+        const settled = Math.abs(targetOffsetX - this.cameraOffset.x) < 0.1 && Math.abs(targetOffsetY - this.cameraOffset.y) < 0.1;
+        if (settled) {
+            this.cameraOffset.x = targetOffsetX;
+            this.cameraOffset.y = targetOffsetY;
+        } else {
+            // Smooth interpolation towards target
+            this.cameraOffset.x += (targetOffsetX - this.cameraOffset.x) * this.smoothness;
+            this.cameraOffset.y += (targetOffsetY - this.cameraOffset.y) * this.smoothness;
+        }
         
         // Apply the combined transform
         this.applyCameraTransform();
+        return !settled;
     }
     
     applyCameraTransform() {
@@ -688,13 +4356,13 @@ class WorldMap {
         combinedTransform = this.constrainTransform(combinedTransform);
         
         // Apply transform smoothly
+        this.viewTransform = combinedTransform;
         this.g.attr("transform", combinedTransform);
     }
     
     constrainTransform(transform) {
-        const rect = this.svg.node().getBoundingClientRect();
-        const width = rect.width;
-        const height = rect.height;
+        const width = +this.svg.attr("width");
+        const height = +this.svg.attr("height");
         
         // Calculate the map bounds at current scale
         const mapWidth = width * transform.k;
@@ -730,6 +4398,7 @@ class WorldMap {
     
     // Method to temporarily disable camera follow
     disableCameraFollow() {
+        this.cameraFollowEnabled = false;
         if (this.animationId) {
             cancelAnimationFrame(this.animationId);
             this.animationId = null;
@@ -738,31 +4407,896 @@ class WorldMap {
     
     // Method to re-enable camera follow
     enableCameraFollow() {
-        if (!this.animationId) {
-            this.startCameraFollow();
+        this.cameraFollowEnabled = true;
+        this.wakeCameraFollow();
+    }
+    
+    isCanvas() {
+        return this.renderer === 'canvas';
+    }
+    
+    // Size the canvas backing store for the device's pixel ratio
+    sizeCanvas(width, height) {
+        const ratio = window.devicePixelRatio || 1;
+        this.canvas
+            .attr("width", Math.round(width * ratio))
+            .attr("height", Math.round(height * ratio))
+            .style("width", `${width}px`)
+            .style("height", `${height}px`);
+        this.scheduleCanvasRender();
+    }
+    
+    scheduleCanvasRender() {
+        if (!this.canvasFrame) {
+            this.canvasFrame = requestAnimationFrame(() => this.renderCanvas());
+        }
+    }
+    
+    // Paint the sphere and countries in document order with their computed
+    // styles, so the stylesheet and state classes apply as they do to SVG.
+    // Projected paths are cached until the projection or geometry changes.
+    renderCanvas() {
+        this.canvasFrame = null;
+        const context = this.canvas.node().getContext("2d");
+        const ratio = window.devicePixelRatio || 1;
+        const t = this.viewTransform;
+        let animating = false;
+        
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, +this.svg.attr("width"), +this.svg.attr("height"));
+        context.setTransform(ratio * t.k, 0, 0, ratio * t.k, ratio * t.x, ratio * t.y);
+        context.lineJoin = "round";
+        
+        this.g.selectAll(".map-sphere, .country").each((d, i, nodes) => {
+            const style = getComputedStyle(nodes[i]);
+            if (style.display === 'none' || style.visibility === 'hidden') return;
+            if (!this.canvasPaths.has(d)) {
+                this.canvasPaths.set(d, new Path2D(this.path(d) || ''));
+            }
+            const path = this.canvasPaths.get(d);
+            const strokeScale = style.vectorEffect === 'non-scaling-stroke' ? t.k : 1;
+            const strokeWidth = parseFloat(style.strokeWidth) / strokeScale;
+            
+            context.globalAlpha = +style.opacity;
+            context.filter = style.filter || 'none';
+            if (style.fill !== 'none') {
+                context.fillStyle = style.fill;
+                context.fill(path);
+            }
+            if (style.stroke !== 'none' && strokeWidth > 0) {
+                context.strokeStyle = style.stroke;
+                context.lineWidth = strokeWidth;
+                context.setLineDash(style.strokeDasharray === 'none' ? [] : style.strokeDasharray.split(/[\s,]+/).map(v => parseFloat(v) / strokeScale));
+                context.stroke(path);
+            }
+            animating = animating || style.animationName !== 'none';
+        });
+        context.globalAlpha = 1;
+        context.filter = 'none';
+        
+        // CSS animations (e.g. the change pulse) need a repaint every frame
+        if (animating) {
+            this.scheduleCanvasRender();
+        }
+    }
+    
+    // Clicks and hovers on the map background (rather than an overlay)
+    isMapBackground(target) {
+        return target === this.svg.node() || target.tagName === 'rect' || target.classList.contains('map-sphere');
+    }
+    
+    // Country under the pointer on the canvas renderer. Projected bounds
+    // narrow the candidates before the spherical point-in-polygon test.
+    findCountryAt(event) {
+        if (this.regionGrouping) return null;
+        const point = this.viewTransform.invert(d3.pointer(event, this.svg.node()));
+        const coordinates = this.projection.invert(point);
+        if (!coordinates || isNaN(coordinates[0]) || !this.isPointVisible(coordinates)) return null;
+        
+        const [x, y] = point;
+        for (const [feature, bounds] of this.getCountryBounds()) {
+            if (x >= bounds[0][0] && x <= bounds[1][0] && y >= bounds[0][1] && y <= bounds[1][1] &&
+                d3.geoContains(feature, coordinates)) {
+                return feature;
+            }
+        }
+        return null;
+    }
+    
+    // Projected bounds of each country, cached until the paths are re-projected
+    getCountryBounds() {
+        if (!this.countryBounds) {
+            this.countryBounds = new Map(this.g.selectAll(".country").data()
+                .map(feature => [feature, this.path.bounds(feature)]));
+        }
+        return this.countryBounds;
+    }
+    
+    updateCanvasHover(event) {
+        this.setHitCountry(event, this.isMapBackground(event.target) ? this.findCountryAt(event) : null);
+    }
+    
+    // Track the country under the pointer, sending it the mouseover and
+    // mouseout its SVG path would have received
+    setHitCountry(event, feature) {
+        if (feature === this.hitCountry) return;
+        if (this.hitCountry) {
+            this.forwardCanvasEvent(event, this.hitCountry, "mouseout");
+        }
+        this.hitCountry = feature;
+        this.svg.classed("country-hover", !!feature);
+        if (feature) {
+            this.forwardCanvasEvent(event, feature, "mouseover");
+        }
+    }
+    
+    // Dispatch a pointer event to a country's element so its usual handlers run
+    forwardCanvasEvent(event, feature, type = event.type) {
+        const node = this.g.selectAll(".country").filter(d => d === feature).node();
+        if (!node) return;
+        node.dispatchEvent(new MouseEvent(type, {
+            clientX: event.clientX,
+            clientY: event.clientY,
+            shiftKey: event.shiftKey,
+            ctrlKey: event.ctrlKey,
+            metaKey: event.metaKey,
+            altKey: event.altKey
+        }));
+    }
+
+    // Open the export dialog with the configured defaults
+    openExportDialog() {
+        const options = this.config.export || {};
+        const form = this.root.getElementById("export-form");
+        if (!form.elements.title.value) {
+            form.elements.title.value = options.title || "Cybersecurity Compliance";
+        }
+        form.elements.scale.value = String(options.defaultScale || 2);
+        this.updateExportForm();
+        this.root.getElementById("export-dialog").classList.remove("hidden");
+        form.elements.title.focus();
+    }
+    
+    closeExportDialog() {
+        this.root.getElementById("export-dialog").classList.add("hidden");
+    }
+    
+    // Resolution only applies to raster output, the title only to map output
+    updateExportForm() {
+        const form = this.root.getElementById("export-form");
+        const format = form.elements.format.value;
+        form.elements.scale.disabled = format !== 'png';
+        form.elements.title.disabled = format.startsWith('data-');
+    }
+    
+    async exportMap() {
+        const form = this.root.getElementById("export-form");
+        const format = form.elements.format.value;
+        const title = form.elements.title.value.trim();
+        const filename = `world-map-${d3.timeFormat("%Y-%m-%d")(new Date())}`;
+        
+        if (format.startsWith('data-')) {
+            this.exportData(format.slice(5));
+            this.closeExportDialog();
+            return;
+        }
+        
+        try {
+            const { markup, width, height } = await this.buildExportSvg(title);
+            if (format === 'svg') {
+                this.downloadFile(new Blob([markup], { type: 'image/svg+xml' }), `${filename}.svg`);
+            } else if (format === 'pdf') {
+                this.printExport(markup, title, width, height);
+            } else {
+                const blob = await this.rasterizeSvg(markup, width, height, +form.elements.scale.value);
+                this.downloadFile(blob, `${filename}.png`);
+            }
+            this.closeExportDialog();
+        } catch (error) {
+            console.error("Error exporting map:", error);
+            this.root.getElementById("export-error").textContent = `Export failed: ${error.message}`;
+        }
+    }
+    
+    // Render the current view into a self-contained SVG built from the D3
+    // paths, framed by a title, legend, logo, data source and timestamp
+    async buildExportSvg(title) {
+        const width = +this.svg.attr("width");
+        const mapHeight = +this.svg.attr("height");
+        const header = 72;
+        const footer = 48;
+        const height = header + mapHeight + footer;
+        const mode = this.colorModes[this.colorMode];
+        
+        const svg = d3.create("svg")
+            .attr("xmlns", "http://www.w3.org/2000/svg")
+            .attr("width", width)
+            .attr("height", height)
+            .attr("viewBox", `0 0 ${width} ${height}`)
+            .attr("font-family", "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif");
+        const defs = svg.append("defs");
+        
+        svg.append("rect")
+            .attr("width", width)
+            .attr("height", height)
+            .attr("fill", "rgb(51, 51, 51)");
+        
+        // Map: copy every path with its computed colors so no stylesheet is needed
+        defs.append("clipPath")
+            .attr("id", "export-map-clip")
+            .append("rect")
+            .attr("y", header)
+            .attr("width", width)
+            .attr("height", mapHeight);
+        const hatch = this.svg.select("#audit-overdue-hatch").node();
+        if (hatch) {
+            const pattern = hatch.cloneNode(true);
+            const line = pattern.querySelector("line");
+            const lineStyle = getComputedStyle(this.svg.select(".audit-hatch-line").node());
+            line.setAttribute("stroke", lineStyle.stroke);
+            line.setAttribute("stroke-width", lineStyle.strokeWidth);
+            defs.node().appendChild(pattern);
+        }
+        
+        const map = svg.append("g")
+            .attr("clip-path", "url(#export-map-clip)")
+            .append("g")
+            .attr("transform", `translate(0, ${header}) ${this.g.attr("transform") || ''}`);
+        // Paths are projected afresh, since the canvas renderer leaves
+        // countries without geometry in the SVG
+        const path = this.path;
+        this.g.selectAll(this.regionGrouping ? ".map-sphere, .country, .region" : ".map-sphere, .country, .audit-marker").each(function (d) {
+            const pathData = path(d.feature || d);
+            if (!pathData) return;
+            const style = getComputedStyle(this);
+            map.append("path")
+                .attr("d", pathData)
+                .attr("fill", style.fill)
+                .attr("stroke", style.stroke)
+                .attr("stroke-width", style.strokeWidth)
+                .attr("stroke-dasharray", style.strokeDasharray === 'none' ? null : style.strokeDasharray)
+                .attr("opacity", style.opacity === '1' ? null : style.opacity);
+        });
+        if (this.labelLayer && this.showLabels && !this.regionGrouping) {
+            this.labelLayer.selectAll(".country-label-text").each(function () {
+                const style = getComputedStyle(this);
+                const label = map.append("text")
+                    .attr("transform", this.getAttribute("transform"))
+                    .attr("text-anchor", "middle")
+                    .attr("font-size", this.getAttribute("font-size"))
+                    .attr("font-weight", style.fontWeight)
+                    .attr("fill", style.fill)
+                    .attr("stroke", style.stroke)
+                    .attr("stroke-width", style.strokeWidth)
+                    .attr("stroke-linejoin", "round")
+                    .attr("paint-order", "stroke")
+                    .attr("opacity", style.opacity === '1' ? null : style.opacity);
+                this.querySelectorAll("tspan").forEach(tspan => {
+                    label.append("tspan")
+                        .attr("x", 0)
+                        .attr("y", tspan.getAttribute("y"))
+                        .attr("dy", tspan.getAttribute("dy"))
+                        .attr("fill", getComputedStyle(tspan).fill)
+                        .text(tspan.textContent);
+                });
+            });
+        }
+        
+        if (this.siteLayer && this.showSites) {
+            this.siteLayer.selectAll(".site-marker").each(function () {
+                const circle = this.querySelector("circle");
+                const text = this.querySelector("text");
+                const circleStyle = getComputedStyle(circle);
+                const textStyle = getComputedStyle(text);
+                const opacity = getComputedStyle(this).opacity;
+                const marker = map.append("g")
+                    .attr("transform", this.getAttribute("transform"))
+                    .attr("opacity", opacity === '1' ? null : opacity);
+                marker.append("circle")
+                    .attr("r", circle.getAttribute("r"))
+                    .attr("fill", circleStyle.fill)
+                    .attr("stroke", circleStyle.stroke)
+                    .attr("stroke-width", circleStyle.strokeWidth);
+                if (text.textContent) {
+                    marker.append("text")
+                        .attr("text-anchor", "middle")
+                        .attr("dy", "0.35em")
+                        .attr("fill", textStyle.fill)
+                        .attr("font-size", textStyle.fontSize)
+                        .attr("font-weight", textStyle.fontWeight)
+                        .text(text.textContent);
+                }
+            });
+        }
+        
+        // Header: title and what the map shows
+        const subtitle = [`Colored by ${mode.label.toLowerCase()}`];
+        if (this.timelineDate) {
+            subtitle.push(`as of ${this.timelineDate}`);
+        }
+        if (this.hasActiveFilters()) {
+            subtitle.push(`filtered: ${this.getFilterChips().map(chip => chip.label).join('; ')}`);
+        }
+        svg.append("text")
+            .attr("x", 24)
+            .attr("y", 36)
+            .attr("fill", "#fff")
+            .attr("font-size", 22)
+            .attr("font-weight", 600)
+            .text(title);
+        svg.append("text")
+            .attr("x", 24)
+            .attr("y", 58)
+            .attr("fill", "#ccc")
+            .attr("font-size", 12)
+            .text(subtitle.join(' · '));
+        
+        this.appendExportLegend(svg, defs, mode, 24, header + mapHeight - 24);
+        
+        // Footer: data source, timestamp and logo
+        const footerY = header + mapHeight;
+        svg.append("line")
+            .attr("x1", 0)
+            .attr("x2", width)
+            .attr("y1", footerY)
+            .attr("y2", footerY)
+            .attr("stroke", "rgba(255, 255, 255, 0.3)");
+        svg.append("text")
+            .attr("x", 24)
+            .attr("y", footerY + 29)
+            .attr("fill", "#ccc")
+            .attr("font-size", 12)
+            .text(`Data source: ${this.dataSourceName || 'unknown'} · Exported ${new Date().toLocaleString()}`);
+        
+        const logo = await this.getExportLogo();
+        if (logo) {
+            const logoHeight = 24;
+            svg.append("image")
+                .attr("href", logo.href)
+                .attr("height", logoHeight)
+                .attr("width", logoHeight * logo.aspectRatio)
+                .attr("x", width - 24 - logoHeight * logo.aspectRatio)
+                .attr("y", footerY + (footer - logoHeight) / 2);
+        }
+        
+        return { markup: new XMLSerializer().serializeToString(svg.node()), width, height };
+    }
+    
+    // Draw the active legend anchored at its bottom-left corner
+    appendExportLegend(svg, defs, mode, x, bottom) {
+        const legend = mode.legend();
+        const rowHeight = 18;
+        const rows = legend.type === 'gradient'
+            ? []
+            : legend.items.map(item => ({ color: item.color, label: item.label }));
+        rows.push({ color: this.complianceCategories.unknown.color, label: "No data" });
+        if (!defs.select("#audit-overdue-hatch").empty()) {
+            rows.push({ color: "url(#audit-overdue-hatch)", stroke: "#999", label: "Audit overdue" });
+            rows.push({ color: "none", stroke: "#FFD54F", dash: "3 2", label: "Audit due soon" });
+        }
+        
+        const bodyHeight = (legend.type === 'gradient' ? 34 : 0) + rows.length * rowHeight;
+        const boxHeight = 34 + bodyHeight;
+        const boxWidth = 200;
+        const group = svg.append("g").attr("transform", `translate(${x}, ${bottom - boxHeight})`);
+        
+        group.append("rect")
+            .attr("width", boxWidth)
+            .attr("height", boxHeight)
+            .attr("rx", 8)
+            .attr("fill", "rgba(51, 51, 51, 0.95)")
+            .attr("stroke", "#555");
+        group.append("text")
+            .attr("x", 12)
+            .attr("y", 22)
+            .attr("fill", "#fff")
+            .attr("font-size", 12)
+            .attr("font-weight", 600)
+            .text(mode.label.toUpperCase());
+        
+        let y = 34;
+        if (legend.type === 'gradient') {
+            const gradient = defs.append("linearGradient").attr("id", "export-legend-gradient");
+            legend.colors.forEach((color, i) => {
+                gradient.append("stop")
+                    .attr("offset", `${i / (legend.colors.length - 1) * 100}%`)
+                    .attr("stop-color", color);
+            });
+            group.append("rect")
+                .attr("x", 12)
+                .attr("y", y)
+                .attr("width", boxWidth - 24)
+                .attr("height", 10)
+                .attr("fill", "url(#export-legend-gradient)");
+            legend.ticks.forEach((tick, i) => {
+                group.append("text")
+                    .attr("x", 12 + i / (legend.ticks.length - 1) * (boxWidth - 24))
+                    .attr("y", y + 24)
+                    .attr("text-anchor", i === 0 ? "start" : i === legend.ticks.length - 1 ? "end" : "middle")
+                    .attr("fill", "#ccc")
+                    .attr("font-size", 10)
+                    .text(tick);
+            });
+            y += 34;
         }
+        
+        rows.forEach(row => {
+            group.append("rect")
+                .attr("x", 12)
+                .attr("y", y)
+                .attr("width", 12)
+                .attr("height", 12)
+                .attr("rx", 2)
+                .attr("fill", row.color)
+                .attr("stroke", row.stroke || null)
+                .attr("stroke-dasharray", row.dash || null);
+            group.append("text")
+                .attr("x", 32)
+                .attr("y", y + 10)
+                .attr("fill", "#ccc")
+                .attr("font-size", 11)
+                .text(row.label);
+            y += rowHeight;
+        });
+    }
+    
+    // Logo embedded as a data URI so the exported file stands alone
+    async getExportLogo() {
+        const url = (this.config.export && this.config.export.logo) || "./Flexeserve_idwUfEZZ4C_1.svg";
+        try {
+            const markup = await (await fetch(this.resolveUrl(url))).text();
+            const viewBox = (markup.match(/viewBox="([^"]+)"/) || [])[1];
+            const [, , w, h] = viewBox ? viewBox.split(/[\s,]+/).map(Number) : [0, 0, 4, 1];
+            return {
+                href: `data:image/svg+xml;base64,${btoa(unescape(encodeURIComponent(markup)))}`,
+                aspectRatio: w / h
+            };
+        } catch (error) {
+            console.warn("Could not embed logo in export:", error);
+            return null;
+        }
+    }
+    
+    // Draw the export SVG onto a canvas at the chosen resolution
+    async rasterizeSvg(markup, width, height, scale) {
+        const image = new Image();
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+        await image.decode();
+        
+        const canvas = document.createElement("canvas");
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const context = canvas.getContext("2d");
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0, width, height);
+        
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("Canvas could not be encoded")), "image/png");
+        });
+    }
+    
+    // Open the export in a print-ready page; the browser's print dialog saves it as PDF
+    printExport(markup, title, width, height) {
+        const printWindow = window.open("", "_blank");
+        if (!printWindow) {
+            throw new Error("Pop-up blocked; allow pop-ups to export as PDF");
+        }
+        const orientation = width >= height ? "landscape" : "portrait";
+        printWindow.document.write(`<!DOCTYPE html><html><head><title>${title.replace(/</g, "&lt;")}</title>
+            <style>
+                @page { size: A4 ${orientation}; margin: 10mm; }
+                html, body { margin: 0; height: 100%; }
+                body { display: flex; align-items: center; justify-content: center; }
+                svg { width: 100%; height: auto; max-height: 100%; }
+            </style></head><body>${markup}</body></html>`);
+        printWindow.document.close();
+        printWindow.addEventListener("load", () => {
+            printWindow.focus();
+            printWindow.print();
+        });
+    }
+    
+    // Fields of an exported country, in column order, each read from the
+    // country's name, record and the values resolved for it. The CSV columns
+    // come from here too, so both formats always carry the same fields.
+    getExportFields() {
+        return {
+            country: ({ name }) => name,
+            mapName: ({ feature }) => feature ? this.getCountryName(feature) : '',
+            isoAlpha2: ({ codes }) => codes ? codes.alpha2 : '',
+            isoAlpha3: ({ data }) => data.isoCode || '',
+            isoNumeric: ({ codes }) => codes && codes.numeric ? codes.numeric : '',
+            cybersecurityStandard: ({ data }) => data.cybersecurityStandard || '',
+            complianceStatus: ({ data }) => data.complianceStatus || '',
+            complianceStatusLabel: ({ category }) => category ? category.label : '',
+            complianceScore: ({ data }) => data.complianceScore ?? '',
+            unitsInCountry: ({ data }) => data.unitsInCountry ?? '',
+            riskLevel: ({ data }) => data.riskLevel || '',
+            riskLevelLabel: ({ risk }) => risk ? risk.label : '',
+            certifications: ({ data }) => data.certifications || [],
+            lastAuditDate: ({ data }) => data.lastAuditDate || '',
+            daysSinceAudit: ({ audit }) => audit.daysSince ?? '',
+            auditStatus: ({ audit }) => audit.state
+        };
+    }
+    
+    // Flatten the loaded records that match the active filters, with the
+    // resolved geometry, ISO codes, status labels and computed audit fields
+    getExportRecords() {
+        const fields = Object.entries(this.getExportFields());
+        return Object.keys(this.cybersecurityData)
+            .map(name => ({ name, data: this.getCybersecurityData(name) }))
+            .filter(entry => entry.data && this.matchesFilters(entry.data))
+            .map(({ name, data }) => {
+                const resolved = {
+                    name,
+                    data,
+                    feature: this.findCountryFeature(data.isoCode || name),
+                    codes: data.isoCode && this.countryCodeIndex ? this.countryCodeIndex.get(data.isoCode) : null,
+                    category: this.complianceCategories[data.complianceStatus],
+                    risk: this.riskLevels[data.riskLevel],
+                    audit: this.getAuditStatus(data)
+                };
+                return Object.fromEntries(fields.map(([field, read]) => [field, read(resolved)]));
+            })
+            .sort((a, b) => a.country.localeCompare(b.country));
+    }
+    
+    // Editing is for deployments that turn it on (`editor.enabled` or the
+    // `editable` option). Edits stay in this browser until exported.
+    isEditingEnabled() {
+        return !!((this.config.editor || {}).enabled || this.options.editable);
+    }
+    
+    // Fields the editor can change, in form order
+    getEditableFields() {
+        return ['cybersecurityStandard', 'complianceStatus', 'complianceScore', 'unitsInCountry', 'certifications', 'lastAuditDate'];
+    }
+    
+    getDraftStorageKey() {
+        return `worldmap.draft.${this.draftSource}`;
+    }
+    
+    loadDraft() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.getDraftStorageKey()));
+            return (stored && stored.countries) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    saveDraft() {
+        try {
+            if (Object.keys(this.draft).length > 0) {
+                localStorage.setItem(this.getDraftStorageKey(), JSON.stringify({ savedAt: new Date().toISOString(), countries: this.draft }));
+            } else {
+                localStorage.removeItem(this.getDraftStorageKey());
+            }
+        } catch (error) {
+            console.warn('Could not save draft changes:', error);
+        }
+    }
+    
+    // Loaded records with the draft's changes laid over them. Countries that
+    // had no data get a new record.
+    applyDraft(records) {
+        const merged = { ...records };
+        Object.entries(this.draft).forEach(([countryName, changes]) => {
+            const base = records[countryName] || { certifications: [], isoCode: this.resolveCountryCode(countryName) };
+            merged[countryName] = { ...base, ...changes };
+        });
+        return merged;
+    }
+    
+    // Key of a country in cybersecurityData, or the map name for a country
+    // without data
+    getDataKey(countryName) {
+        const record = this.findCybersecurityRecord(countryName);
+        return Object.keys(this.cybersecurityData).find(name => this.cybersecurityData[name] === record) || countryName;
+    }
+    
+    // Fill the edit form from the selected country's current record
+    openCountryEditor() {
+        if (!this.selectedCountry || this.timelineDate) return;
+        this.editingCountry = this.selectedCountry;
+        const key = this.getDataKey(this.getCountryName(this.selectedCountry));
+        const record = this.cybersecurityData[key] || {};
+        const form = this.root.getElementById("country-edit-form");
+        
+        this.selectElement("#edit-status")
+            .selectAll("option")
+            .data(Object.entries(this.complianceCategories))
+            .join("option")
+            .attr("value", ([status]) => status)
+            .text(([, category]) => category.label);
+        
+        this.getEditableFields().forEach(field => {
+            const value = record[field];
+            form.elements[field].value = Array.isArray(value) ? value.join("; ") : value ?? '';
+        });
+        if (!record.complianceStatus) form.elements.complianceStatus.value = 'unknown';
+        this.showEditErrors({});
+        
+        this.root.getElementById("info-panel").classList.add("editing");
+        form.elements.cybersecurityStandard.focus();
+    }
+    
+    closeCountryEditor() {
+        this.editingCountry = null;
+        this.root.getElementById("info-panel").classList.remove("editing");
+    }
+    
+    showEditErrors(errors) {
+        this.selectElements("#country-edit-form .edit-error")
+            .text(function () { return errors[this.dataset.field] || ''; });
+    }
+    
+    // Validate the form against the record schema and store the differences
+    // from the loaded record in the draft
+    saveCountryEdit() {
+        const countryName = this.getCountryName(this.selectedCountry);
+        const key = this.getDataKey(countryName);
+        const form = this.root.getElementById("country-edit-form");
+        const schema = this.getRecordSchema();
+        const errors = {};
+        const values = {};
+        
+        this.getEditableFields().forEach(field => {
+            const text = form.elements[field].value.trim();
+            const rule = schema[field];
+            if (text === '') {
+                if (rule.required) {
+                    errors[field] = 'Required';
+                } else {
+                    values[field] = rule.type === 'list' ? [] : null;
+                }
+                return;
+            }
+            const result = this.coerceValue(text, rule);
+            if (result.error) {
+                errors[field] = result.error;
+            } else {
+                values[field] = result.value;
+            }
+        });
+        
+        this.showEditErrors(errors);
+        if (Object.keys(errors).length > 0) return;
+        
+        const loaded = this.loadedData[key] || {};
+        const changes = {};
+        Object.entries(values).forEach(([field, value]) => {
+            if (JSON.stringify(value) !== JSON.stringify(loaded[field] ?? (Array.isArray(value) ? [] : null))) {
+                changes[field] = value;
+            }
+        });
+        if (Object.keys(changes).length > 0) {
+            this.draft[key] = changes;
+        } else {
+            delete this.draft[key];
+        }
+        
+        this.closeCountryEditor();
+        this.updateDraft();
+    }
+    
+    revertDraft(countryName) {
+        if (countryName) {
+            delete this.draft[countryName];
+        } else {
+            this.draft = {};
+        }
+        this.updateDraft();
+    }
+    
+    // Store the draft and redraw everything that shows the data
+    updateDraft() {
+        this.saveDraft();
+        this.cybersecurityData = this.applyDraft(this.loadedData);
+        this.indexCybersecurityData();
+        this.buildColorModes();
+        this.renderLegend();
+        this.renderFilterPanel();
+        this.updateCountryStyles();
+        if (this.selectedCountry) {
+            this.showCountryInfo(this.getCountryName(this.selectedCountry));
+        }
+        this.renderDraftPanel();
+    }
+    
+    // Field-by-field differences between the draft and the loaded data
+    getDraftChanges() {
+        const definitions = this.getFieldSchema().definitions;
+        const format = (field, value) => this.formatFieldValue({ field, ...definitions[field], empty: '(blank)' }, { [field]: value }).text;
+        return Object.entries(this.draft).flatMap(([countryName, changes]) => {
+            const loaded = this.loadedData[countryName];
+            return Object.entries(changes).map(([field, value]) => ({
+                countryName,
+                isNew: !loaded,
+                label: (definitions[field] || {}).label || field,
+                before: format(field, loaded ? loaded[field] : null),
+                after: format(field, value)
+            }));
+        });
+    }
+    
+    // List of unsaved changes, grouped by country
+    renderDraftPanel() {
+        const panel = this.root.getElementById("draft-panel");
+        const changes = this.getDraftChanges();
+        panel.classList.toggle("hidden", !this.isEditingEnabled() || changes.length === 0);
+        
+        const countries = Array.from(d3.group(changes, change => change.countryName));
+        this.root.getElementById("draft-summary").textContent =
+            `${changes.length} ${changes.length === 1 ? 'change' : 'changes'} in ${countries.length} ${countries.length === 1 ? 'country' : 'countries'}, saved in this browser only`;
+        
+        this.selectElement("#draft-changes")
+            .selectAll("li")
+            .data(countries, ([countryName]) => countryName)
+            .join(enter => {
+                const item = enter.append("li").attr("class", "draft-country");
+                const header = item.append("div").attr("class", "draft-country-header");
+                header.append("span").attr("class", "dashboard-link");
+                header.append("button").attr("class", "filter-clear").text("Revert");
+                item.append("ul").attr("class", "draft-fields");
+                return item;
+            })
+            .call(item => item.select(".dashboard-link")
+                .text(([countryName, entries]) => entries[0].isNew ? `${countryName} (new)` : countryName)
+                .on("click", (event, [countryName]) => this.selectCountryByName(countryName)))
+            .call(item => item.select("button")
+                .attr("aria-label", ([countryName]) => `Revert changes to ${countryName}`)
+                .on("click", (event, [countryName]) => this.revertDraft(countryName)))
+            .call(item => item.select(".draft-fields")
+                .selectAll("li")
+                .data(([, entries]) => entries)
+                .join("li")
+                .text(change => `${change.label}: ${change.before} → ${change.after}`));
+    }
+    
+    // Download the loaded data with the draft applied, in the shape of
+    // cybersecurity-data.json or as rows with the data source's CSV columns
+    exportDraftData(format) {
+        const records = this.applyDraft(this.loadedData);
+        const filename = `compliance-data-edited-${d3.timeFormat("%Y-%m-%d")(new Date())}`;
+        const clean = (record) => Object.fromEntries(Object.entries(record)
+            .filter(([field, value]) => field !== 'isoCode' && value !== null && value !== undefined));
+        
+        if (format === 'json') {
+            const payload = { countries: Object.fromEntries(Object.entries(records).map(([name, record]) => [name, clean(record)])) };
+            if (this.dataComplianceCategories) {
+                payload.complianceCategories = this.dataComplianceCategories;
+            }
+            this.downloadFile(new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' }), `${filename}.json`);
+            return;
+        }
+        
+        // Audit history becomes one dated row per audit, as in the sheet
+        const source = this.dataSource || {};
+        const separator = source.listSeparator || ';';
+        const columns = this.getColumnMapping(source);
+        const rows = Object.entries(records).flatMap(([name, record]) => {
+            const { history = [], ...current } = clean(record);
+            return [...history.map(({ date, ...fields }) => ({ ...current, ...fields, lastAuditDate: date })), current]
+                .map(fields => ({ country: name, ...fields }));
+        });
+        const fields = Object.keys(columns).filter(field => field === 'country' || rows.some(row => row[field] !== undefined && field !== 'history'));
+        const csv = d3.csvFormat(
+            rows.map(row => Object.fromEntries(fields.map(field => [
+                columns[field],
+                Array.isArray(row[field]) ? row[field].join(`${separator} `) : row[field] ?? ''
+            ]))),
+            fields.map(field => columns[field])
+        );
+        this.downloadFile(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `${filename}.csv`);
+    }
+    
+    // Download the resolved dataset as CSV, Excel-friendly CSV or JSON
+    exportData(format) {
+        const records = this.getExportRecords();
+        const filename = `compliance-data-${d3.timeFormat("%Y-%m-%d")(new Date())}`;
+        
+        if (format === 'json') {
+            const payload = {
+                exportedAt: new Date().toISOString(),
+                dataSource: this.dataSourceName,
+                asOf: this.timelineDate,
+                filters: this.hasActiveFilters() ? this.getFilterChips().map(chip => chip.label) : [],
+                countries: records
+            };
+            this.downloadFile(new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' }), `${filename}.json`);
+            return;
+        }
+        
+        const rows = records.map(record => ({ ...record, certifications: record.certifications.join('; ') }));
+        // Columns are given so an export with no matching countries still has its header row
+        const csv = d3.csvFormat(rows, Object.keys(this.getExportFields()));
+        if (format === 'excel') {
+            // Excel needs a byte order mark to read UTF-8 and prefers CRLF line endings
+            const excelCsv = '\ufeff' + csv.replace(/\n/g, '\r\n');
+            this.downloadFile(new Blob([excelCsv], { type: 'text/csv;charset=utf-8' }), `${filename}-excel.csv`);
+        } else {
+            this.downloadFile(new Blob([csv], { type: 'text/csv;charset=utf-8' }), `${filename}.csv`);
+        }
+    }
+    
+    downloadFile(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.download = filename;
+        link.href = url;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
+}
+
+// Libraries are loaded once per page and shared by every instance
+WorldMap.librariesReady = WorldMap.loadLibraries();
 
-    // Export map as PNG
-    async exportMapAsPNG() {
-        const mapContainer = document.getElementById('world-map');
-        if (!mapContainer) return;
-        // Hide overlays/tooltips for clean export
-        const overlays = document.querySelectorAll('.tooltip, .country-label');
-        overlays.forEach(el => el.style.display = 'none');
-        // Use html2canvas to capture
-        html2canvas(mapContainer, {backgroundColor: null}).then(canvas => {
-            const link = document.createElement('a');
-            link.download = 'world-map.png';
-            link.href = canvas.toDataURL('image/png');
-            link.click();
-            // Restore overlays/tooltips
-            overlays.forEach(el => el.style.display = '');
+// <world-map> element wrapping a WorldMap. Attributes: `config` (URL of the
+// config file), `data-source`, `palette`, `projection`, `renderer`, `url-state`
+// (let this map own the URL hash) and `editable`. The map's public methods and events
+// are available on the element.
+class WorldMapElement extends HTMLElement {
+    connectedCallback() {
+        if (this.map) return;
+        this.map = new WorldMap(this, {
+            configUrl: this.getAttribute("config") || undefined,
+            dataSource: this.getAttribute("data-source") || undefined,
+            palette: this.getAttribute("palette") || undefined,
+            projection: this.getAttribute("projection") || undefined,
+            renderer: this.getAttribute("renderer") || undefined,
+            urlState: this.hasAttribute("url-state"),
+            editable: this.hasAttribute("editable")
         });
+        if (this.resolveMap) {
+            this.resolveMap(this.map);
+            this.resolveMap = null;
+            this.pendingMap = null;
+        }
+    }
+    
+    // Removing the element stops the map; adding it again starts a new one
+    disconnectedCallback() {
+        if (!this.map) return;
+        this.map.destroy();
+        this.map = null;
+    }
+    
+    // Resolves with the map once the element is in the page, so calls made
+    // before it is added (or while it is detached) wait for the next map
+    whenMapped() {
+        if (this.map) return Promise.resolve(this.map);
+        if (!this.pendingMap) {
+            this.pendingMap = new Promise(resolve => { this.resolveMap = resolve; });
+        }
+        return this.pendingMap;
+    }
+    
+    get ready() {
+        return this.whenMapped().then(map => map.ready);
+    }
+    
+    selectCountry(code, options) {
+        return this.whenMapped().then(map => map.selectCountry(code, options));
+    }
+    
+    setData(records) {
+        return this.whenMapped().then(map => map.setData(records));
+    }
+    
+    setFilter(filters, value) {
+        return this.whenMapped().then(map => map.setFilter(filters, value));
+    }
+    
+    zoomTo(target) {
+        return this.whenMapped().then(map => map.zoomTo(target));
+    }
+    
+    setProjection(type) {
+        return this.whenMapped().then(map => map.ready.then(() => map.setProjection(type)));
     }
 }
 
-// Initialize the world map when the page loads
-document.addEventListener("DOMContentLoaded", () => {
-    new WorldMap();
-});
\ No newline at end of file
+customElements.define("world-map", WorldMapElement);
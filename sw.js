@@ -0,0 +1,129 @@
+// Service worker for offline use of the world map.
+// The app shell is served from cache and refreshed in the background; all
+// other requests (compliance data, geometry, CDN libraries) go to the network
+// first and fall back to the last good copy when offline.
+
+const SHELL_CACHE = 'worldmap-shell-v2';
+const DATA_CACHE = 'worldmap-data-v1';
+
+const SHELL_FILES = [
+    './',
+    './index.html',
+    './world-map.html',
+    './styles.css',
+    './script.js',
+    './config.json',
+    './country-codes.json',
+    './Flexeserve_idwUfEZZ4C_1.svg'
+];
+
+// Local asset paths declared in config.json are part of the shell too
+async function getConfiguredAssets() {
+    try {
+        const response = await fetch('./config.json', { cache: 'no-store' });
+        const config = await response.json();
+        const assets = config.assets || {};
+        const libraries = (assets.libraries || []).map(library => library.local);
+        const geometry = assets.geometry
+            ? [assets.geometry.local, ...(assets.geometry.detail || []).map(level => level.local)]
+            : [];
+        return [...libraries, ...geometry].filter(Boolean);
+    } catch (error) {
+        return [];
+    }
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        const files = [...SHELL_FILES, ...(await getConfiguredAssets())];
+        // Cache files individually so one missing asset does not abort install
+        await Promise.all(files.map(file => cache.add(file).catch(error => {
+            console.warn(`Could not cache ${file}:`, error);
+        })));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name !== SHELL_CACHE && name !== DATA_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// Cache-busting parameters must not split the cache into one entry per load
+function getCacheKey(request) {
+    const url = new URL(request.url);
+    url.searchParams.delete('cb');
+    return url.toString();
+}
+
+async function fromShell(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    const refresh = fetch(request).then(response => {
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+    if (cached) {
+        refresh.catch(() => {});
+        return cached;
+    }
+    return refresh;
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(DATA_CACHE);
+    const key = getCacheKey(request);
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') {
+            await cache.put(key, await stampResponse(response.clone()));
+            return response;
+        }
+        // A server error (e.g. a 500 or 404 from the sheet) serves the last
+        // good copy too; the error response only when nothing is cached
+        return (await cache.match(key)) || response;
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+// Record when a response was cached so the page can report stale data
+async function stampResponse(response) {
+    if (response.type === 'opaque') {
+        return response;
+    }
+    const headers = new Headers(response.headers);
+    headers.set('X-Cached-At', new Date().toISOString());
+    return new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+    
+    const url = new URL(request.url);
+    event.respondWith((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        const isShell = url.origin === self.location.origin &&
+            await shell.match(request, { ignoreSearch: true });
+        return isShell ? fromShell(request) : networkFirst(request);
+    })());
+});